@@ -1,7 +1,8 @@
-import { DISPOSITIONS } from "./constants.mjs";
-import { executeScript } from "./helpers.mjs";
+import { AURA_AUDIENCES, AURA_MODIFIERS, AURA_SHAPES, CHAT_LOG_MODES, DISPOSITIONS, FILTER_MODES, FILTER_TYPES, HIGHLIGHT_MODES, LINGER_UNITS, RELATIONSHIPS, SCRIPT_MODES, TARGET_LIST_MODES, TRIGGER_ACTIONS, TRIGGER_EVENTS, TRIGGER_FREQUENCIES, VERTICAL_SHAPES } from "./constants.mjs";
+import { applyRadiusModifiers, executeScript, getAuraModifiers, isSuppressedByModifiers } from "./helpers.mjs";
+import { getAuraRollData, hasSuppressingStatus } from "./systems/adapters.mjs";
 
-const { ArrayField, BooleanField, ColorField, JavaScriptField, NumberField, SetField, SchemaField, StringField } = foundry.data.fields;
+const { ArrayField, BooleanField, ColorField, DocumentUUIDField, JavaScriptField, NumberField, SetField, SchemaField, StringField } = foundry.data.fields;
 
 export default function AuraActiveEffectDataMixin(ActiveEffectClass) {
   return class AuraActiveEffectData extends ActiveEffectClass {
@@ -10,7 +11,30 @@ export default function AuraActiveEffectDataMixin(ActiveEffectClass) {
       const schema = super.defineSchema();
       return {
         ...schema,
-        applyToSelf: new BooleanField({ initial: true }),
+        angle: new NumberField({ initial: 90, min: 1, max: 360, integer: true }),
+        audience: new StringField({
+          choices: {
+            [AURA_AUDIENCES.EVERYONE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.audience.Choices.Everyone",
+            [AURA_AUDIENCES.ALLIES]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.audience.Choices.Allies",
+            [AURA_AUDIENCES.OWNERS]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.audience.Choices.Owners"
+          },
+          required: true,
+          blank: false,
+          initial: AURA_AUDIENCES.EVERYONE
+        }),
+        bands: new ArrayField(new SchemaField({
+          distanceFormula: new StringField({ initial: "0" }),
+          multiplier: new NumberField({ initial: 1, nullable: false }),
+          changes: new ArrayField(new SchemaField({
+            key: new StringField(),
+            value: new StringField(),
+            mode: new NumberField({
+              initial: CONST.ACTIVE_EFFECT_MODES.ADD,
+              choices: () => Object.fromEntries(Object.entries(CONST.ACTIVE_EFFECT_MODES).map(([k, v]) => [v, `EFFECT.MODE_${k}`]))
+            }),
+            priority: new NumberField()
+          }))
+        })),
         bestFormula: new StringField({ initial: "" }),
         canStack: new BooleanField({ initial: false }),
         collisionType: new StringField({
@@ -25,21 +49,107 @@ export default function AuraActiveEffectDataMixin(ActiveEffectClass) {
           blank: true,
           initial: "move"
         }),
+        chatLog: new StringField({
+          choices: {
+            [CHAT_LOG_MODES.DEFAULT]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.chatLog.Choices.Default",
+            [CHAT_LOG_MODES.NONE]: "AURAEFFECTS.ChatLog.Modes.None",
+            [CHAT_LOG_MODES.GM]: "AURAEFFECTS.ChatLog.Modes.GM",
+            [CHAT_LOG_MODES.PUBLIC]: "AURAEFFECTS.ChatLog.Modes.Public"
+          },
+          required: true,
+          blank: true,
+          initial: CHAT_LOG_MODES.DEFAULT
+        }),
         color: new ColorField(),
         combatOnly: new BooleanField({ initial: false }),
+        dashed: new BooleanField({ initial: false }),
         disableOnHidden: new BooleanField({ initial: true }),
         distanceFormula: new StringField({ initial: "0" }),
-        disposition: new NumberField({
-          initial: DISPOSITIONS.ANY,
+        evaluatePreApply: new BooleanField({ initial: false }),
+        filterMode: new StringField({
           choices: {
-            [DISPOSITIONS.HOSTILE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.disposition.Choices.Hostile",
-            [DISPOSITIONS.ANY]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.disposition.Choices.Any",
-            [DISPOSITIONS.FRIENDLY]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.disposition.Choices.Friendly"
-          }
+            [FILTER_MODES.ALL]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filterMode.Choices.All",
+            [FILTER_MODES.ANY]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filterMode.Choices.Any"
+          },
+          required: true,
+          blank: false,
+          initial: FILTER_MODES.ALL
+        }),
+        filters: new ArrayField(new SchemaField({
+          type: new StringField({
+            choices: {
+              [FILTER_TYPES.STATUS]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.Status",
+              [FILTER_TYPES.ACTOR_TYPE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.ActorType",
+              [FILTER_TYPES.HP_BELOW]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.HPBelow",
+              [FILTER_TYPES.SOURCE_IN_COMBAT]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.SourceInCombat",
+              [FILTER_TYPES.TARGET_IN_COMBAT]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.TargetInCombat",
+              [FILTER_TYPES.NAME]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.Name",
+              [FILTER_TYPES.CREATURE_TYPE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.filters.element.type.Choices.CreatureType"
+            },
+            required: true,
+            blank: false,
+            initial: FILTER_TYPES.STATUS
+          }),
+          negate: new BooleanField({ initial: false }),
+          value: new StringField({ initial: "" })
+        })),
+        fillOpacity: new NumberField({ initial: 0.1, min: 0, max: 1, step: 0.05, nullable: false }),
+        heightFormula: new StringField({ initial: "" }),
+        highlightMode: new StringField({
+          choices: {
+            [HIGHLIGHT_MODES.DEFAULT]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.highlightMode.Choices.Default",
+            [HIGHLIGHT_MODES.SHAPES]: "REGION.HIGHLIGHT_MODES.shapes.label",
+            [HIGHLIGHT_MODES.COVERAGE]: "REGION.HIGHLIGHT_MODES.coverage.label"
+          },
+          required: true,
+          blank: true,
+          initial: HIGHLIGHT_MODES.DEFAULT
+        }),
+        levelRange: new NumberField({ initial: 0, min: 0, integer: true, nullable: false }),
+        lingerDuration: new NumberField({ initial: 0, min: 0, nullable: false }),
+        lingerUnits: new StringField({
+          choices: {
+            [LINGER_UNITS.ROUNDS]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.lingerUnits.Choices.Rounds",
+            [LINGER_UNITS.TURNS]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.lingerUnits.Choices.Turns",
+            [LINGER_UNITS.SECONDS]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.lingerUnits.Choices.Seconds"
+          },
+          required: true,
+          blank: false,
+          initial: LINGER_UNITS.ROUNDS
         }),
-        evaluatePreApply: new BooleanField({ initial: false }),
         overrideName: new StringField({ initial: '' }),
-        script: new JavaScriptField(),
+        pulse: new BooleanField({ initial: false }),
+        relationships: new SetField(new StringField({
+          choices: {
+            [RELATIONSHIPS.ALLY]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.relationships.Choices.Ally",
+            [RELATIONSHIPS.ENEMY]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.relationships.Choices.Enemy",
+            [RELATIONSHIPS.NEUTRAL]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.relationships.Choices.Neutral",
+            [RELATIONSHIPS.SECRET]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.relationships.Choices.Secret",
+            [RELATIONSHIPS.SELF]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.relationships.Choices.Self"
+          }
+        }), { initial: Object.values(RELATIONSHIPS) }),
+        script: new JavaScriptField({ async: true }),
+        scriptMode: new StringField({
+          choices: {
+            [SCRIPT_MODES.EXPRESSION]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.scriptMode.Choices.Expression",
+            [SCRIPT_MODES.FUNCTION]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.scriptMode.Choices.Function"
+          },
+          required: true,
+          blank: false,
+          initial: SCRIPT_MODES.EXPRESSION
+        }),
+        shape: new StringField({
+          choices: {
+            [AURA_SHAPES.EMANATION]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.shape.Choices.Emanation",
+            [AURA_SHAPES.CONE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.shape.Choices.Cone",
+            [AURA_SHAPES.LINE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.shape.Choices.Line",
+            [AURA_SHAPES.RECTANGLE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.shape.Choices.Rectangle"
+          },
+          required: true,
+          blank: false,
+          initial: AURA_SHAPES.EMANATION
+        }),
+        statusSuppression: new BooleanField({ initial: false }),
         stashedChanges: new ArrayField(new SchemaField({
           key: new StringField(),
           value: new StringField(),
@@ -47,7 +157,67 @@ export default function AuraActiveEffectDataMixin(ActiveEffectClass) {
           priority: new NumberField()
         })),
         stashedStatuses: new SetField(new StringField()),
-        showRadius: new BooleanField({ initial: false })
+        showRadius: new BooleanField({ initial: false }),
+        stackGroup: new StringField({ initial: "" }),
+        stackLimit: new NumberField({ integer: true, min: 1, nullable: true, initial: null }),
+        targetList: new SetField(new StringField()),
+        targetListMode: new StringField({
+          choices: {
+            [TARGET_LIST_MODES.NONE]: "COMMON.None",
+            [TARGET_LIST_MODES.INCLUDE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.targetListMode.Choices.Include",
+            [TARGET_LIST_MODES.EXCLUDE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.targetListMode.Choices.Exclude"
+          },
+          required: true,
+          blank: true,
+          initial: TARGET_LIST_MODES.NONE
+        }),
+        triggers: new ArrayField(new SchemaField({
+          event: new StringField({
+            choices: {
+              [TRIGGER_EVENTS.ENTER]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.event.Choices.Enter",
+              [TRIGGER_EVENTS.EXIT]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.event.Choices.Exit",
+              [TRIGGER_EVENTS.TURN_START]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.event.Choices.TurnStart",
+              [TRIGGER_EVENTS.TURN_END]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.event.Choices.TurnEnd"
+            },
+            required: true,
+            blank: false,
+            initial: TRIGGER_EVENTS.ENTER
+          }),
+          action: new StringField({
+            choices: {
+              [TRIGGER_ACTIONS.MACRO]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.action.Choices.Macro",
+              [TRIGGER_ACTIONS.ROLL]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.action.Choices.Roll",
+              [TRIGGER_ACTIONS.EFFECT]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.action.Choices.Effect"
+            },
+            required: true,
+            blank: false,
+            initial: TRIGGER_ACTIONS.MACRO
+          }),
+          frequency: new StringField({
+            choices: {
+              [TRIGGER_FREQUENCIES.ALWAYS]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.frequency.Choices.Always",
+              [TRIGGER_FREQUENCIES.TURN]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.frequency.Choices.Turn",
+              [TRIGGER_FREQUENCIES.ROUND]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.triggers.element.frequency.Choices.Round"
+            },
+            required: true,
+            blank: false,
+            initial: TRIGGER_FREQUENCIES.ALWAYS
+          }),
+          macro: new DocumentUUIDField({ type: "Macro" }),
+          formula: new StringField({ initial: "" }),
+          effect: new DocumentUUIDField({ type: "ActiveEffect" })
+        })),
+        verticalShape: new StringField({
+          choices: {
+            [VERTICAL_SHAPES.NONE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.verticalShape.Choices.None",
+            [VERTICAL_SHAPES.SPHERE]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.verticalShape.Choices.Sphere",
+            [VERTICAL_SHAPES.CYLINDER]: "AURAEFFECTS.ACTIVEEFFECT.Aura.FIELDS.verticalShape.Choices.Cylinder"
+          },
+          required: true,
+          blank: true,
+          initial: VERTICAL_SHAPES.NONE
+        }),
+        widthFormula: new StringField({ initial: "5" })
       }
     }
   
@@ -57,13 +227,87 @@ export default function AuraActiveEffectDataMixin(ActiveEffectClass) {
       if (this.disableOnHidden) {
         let actor = this.parent.parent;
         if (actor instanceof Item) actor = actor.actor;
-        if (actor?.getActiveTokens(false, true)[0]?.hidden) return true;
+        // Each token of a linked actor hides its own auras, so the effect is only suppressed once all are hidden
+        const tokens = actor?.getActiveTokens(false, true) ?? [];
+        if (tokens.length && tokens.every(t => t.hidden)) return true;
       }
+      if (this.statusSuppression && hasSuppressingStatus(this.parent.actor)) return true;
+      if (isSuppressedByModifiers(this.parent)) return true;
       return false;
     }
   
     get distance() {
-      return new Roll(this.distanceFormula || "0", this.parent.parent?.getRollData?.()).evaluateSync({ strict: false }).total;
+      const distance = new Roll(this.distanceFormula || "0", getAuraRollData(this.parent.parent)).evaluateSync({ strict: false }).total;
+      return applyRadiusModifiers(this.parent, distance);
+    }
+
+    /**
+     * Get the radius of one of this aura's bands
+     * @param {number|null} band    The index of the band, or null for the aura's own (base) band
+     * @returns {number}
+     */
+    getBandDistance(band) {
+      if (band === null) return this.distance;
+      const formula = this.bands[band]?.distanceFormula;
+      const distance = new Roll(formula || "0", getAuraRollData(this.parent.parent)).evaluateSync({ strict: false }).total;
+      return applyRadiusModifiers(this.parent, distance);
+    }
+
+    get height() {
+      if (!this.heightFormula.trim()) return this.distance;
+      return new Roll(this.heightFormula, getAuraRollData(this.parent.parent)).evaluateSync({ strict: false }).total;
+    }
+
+    /**
+     * Whether this aura needs to be re-checked for tokens which are already within its region
+     * @type {boolean}
+     */
+    get isConditional() {
+      return !!this.script?.trim().length || !!this.filters.length || (this.verticalShape === VERTICAL_SHAPES.SPHERE);
+    }
+
+    /**
+     * What this aura depends on besides its own data and the positions of its source & recipients, so that it is only
+     * refreshed when something it depends on changes:
+     * - `radius`: its size is calculated from its source's roll data
+     * - `source`: whether it applies depends on its source's state, e.g. a script referencing `sourceActor`
+     * - `values`: the values it applies are evaluated from roll data before being applied
+     * - `target`: whether it applies, or how strongly, depends on each recipient's state
+     * @type {{radius: boolean, source: boolean, values: boolean, target: boolean}}
+     */
+    get dependencies() {
+      const usesRollData = (formula) => String(formula ?? "").includes("@");
+      const preEvaluated = this.evaluatePreApply || !!game.modules.get("dae")?.active;
+      const changes = (this.stashedChanges ?? []).concat(this.bands.flatMap(b => b.changes));
+      return {
+        radius: [this.distanceFormula, this.heightFormula, this.widthFormula, ...this.bands.map(b => b.distanceFormula)].some(usesRollData)
+          || getAuraModifiers(this.parent, AURA_MODIFIERS.RADIUS).some(m => usesRollData(m.value)),
+        source: /\bsource(Token|Actor|RollData)\b/.test(this.script ?? "")
+          || this.filters.some(f => f.type === FILTER_TYPES.SOURCE_IN_COMBAT),
+        values: (preEvaluated && changes.some(c => usesRollData(c.value))) || usesRollData(this.bestFormula),
+        target: this.isConditional || this.bestFormula.includes("@target")
+      };
+    }
+
+    /**
+     * The key of the stacking group this aura belongs to, defaulting to the applied effect's name
+     * @type {string}
+     */
+    get stackKey() {
+      return this.stackGroup.trim() || this.overrideName.trim() || this.parent.name;
+    }
+
+    /**
+     * The maximum number of auras of this aura's stacking group which can apply to a single token at once
+     * @type {number}
+     */
+    get maxStacks() {
+      if (!this.canStack) return 1;
+      return this.stackLimit ?? Infinity;
+    }
+
+    get width() {
+      return new Roll(this.widthFormula || "0", getAuraRollData(this.parent.parent)).evaluateSync({ strict: false }).total;
     }
 
     static migrateData(source, options, state) {
@@ -71,6 +315,18 @@ export default function AuraActiveEffectDataMixin(ActiveEffectClass) {
         source.collisionType = source.collisionTypes[0];
         delete source.collisionTypes;
       }
+      if (!("relationships" in source) && (("disposition" in source) || ("applyToSelf" in source))) {
+        const { ALLY, ENEMY, NEUTRAL, SECRET, SELF } = RELATIONSHIPS;
+        const relationships = {
+          [DISPOSITIONS.HOSTILE]: [ENEMY],
+          [DISPOSITIONS.ANY]: [ALLY, ENEMY, NEUTRAL, SECRET],
+          [DISPOSITIONS.FRIENDLY]: [ALLY]
+        }[source.disposition ?? DISPOSITIONS.ANY] ?? [];
+        if (source.applyToSelf ?? true) relationships.push(SELF);
+        source.relationships = relationships;
+        delete source.disposition;
+        delete source.applyToSelf;
+      }
       return super.migrateData(source, options, state);
     }
 
@@ -1,4 +1,5 @@
-import { getExtendedParts, getExtendedTabs } from "./helpers.mjs";
+import { getExtendedParts, getExtendedTabs, getScriptSyntaxError, getSourceToken, previewAura } from "./helpers.mjs";
+import { getSystemAdapter } from "./systems/adapters.mjs";
 /** @import ActiveEffectConfig from "@client/applications/sheets/active-effect-config.mjs"; */
 
 /**
@@ -14,6 +15,15 @@ export default function AuraActiveEffectSheetMixin(ActiveEffectSheet) {
   
     static DEFAULT_OPTIONS = {
       actions: {
+        addBand: AuraActiveEffectSheet.#onAddBand,
+        addBandChange: AuraActiveEffectSheet.#onAddBandChange,
+        addFilter: AuraActiveEffectSheet.#onAddFilter,
+        addTrigger: AuraActiveEffectSheet.#onAddTrigger,
+        deleteBand: AuraActiveEffectSheet.#onDeleteBand,
+        deleteBandChange: AuraActiveEffectSheet.#onDeleteBandChange,
+        deleteFilter: AuraActiveEffectSheet.#onDeleteFilter,
+        deleteTrigger: AuraActiveEffectSheet.#onDeleteTrigger,
+        preview: AuraActiveEffectSheet.#onPreview,
         revert: AuraActiveEffectSheet.#onRevert
       }
     };
@@ -23,12 +33,142 @@ export default function AuraActiveEffectSheetMixin(ActiveEffectSheet) {
       if (id === "aura") {
         context = foundry.utils.mergeObject(context, {
           fields: this.document.system.schema.fields,
-          isDAEEnabled: game.modules.get("dae")?.active
+          bandFields: this.document.system.schema.fields.bands.element.fields,
+          bandChangeFields: this.document.system.schema.fields.bands.element.fields.changes.element.fields,
+          triggerFields: this.document.system.schema.fields.triggers.element.fields,
+          filterFields: this.document.system.schema.fields.filters.element.fields,
+          statusOptions: CONFIG.statusEffects.map(s => ({ id: s.id, label: _loc(s.name) })),
+          actorTypeOptions: game.documentTypes.Actor.filter(t => t !== CONST.BASE_DOCUMENT_TYPE).map(type => ({ id: type, label: _loc(CONFIG.Actor.typeLabels[type] ?? type) })),
+          isDAEEnabled: game.modules.get("dae")?.active,
+          hasStatusSuppression: !!getSystemAdapter()?.suppressingStatuses?.length,
+          stackGroupPlaceholder: this.document.system.overrideName?.trim() || this.document.name
         }, { inplace: false });
       }
       return context;
     };
   
+    async _onRender(context, options) {
+      await super._onRender(context, options);
+      const script = this.element.querySelector("[name='system.script']");
+      const scriptMode = this.element.querySelector("[name='system.scriptMode']");
+      if (!script) return;
+      this.#flagScriptErrors();
+      script.addEventListener("input", () => this.#flagScriptErrors());
+      scriptMode?.addEventListener("change", () => this.#flagScriptErrors());
+    }
+
+    /**
+     * Flag any syntax error in the conditional script on the form itself, rather than only when it runs
+     */
+    #flagScriptErrors() {
+      const script = this.element.querySelector("[name='system.script']");
+      const scriptMode = this.element.querySelector("[name='system.scriptMode']")?.value;
+      const error = getScriptSyntaxError(script.value, scriptMode);
+      script.setCustomValidity(error ? _loc("AURAEFFECTS.Errors.ScriptSyntaxError", { error }) : "");
+      const formGroup = script.closest(".form-group");
+      let errorHint = formGroup.querySelector(".auraeffects-script-error");
+      if (!error) return errorHint?.remove();
+      if (!errorHint) {
+        errorHint = document.createElement("p");
+        errorHint.classList.add("hint", "auraeffects-script-error");
+        formGroup.append(errorHint);
+      }
+      errorHint.textContent = script.validationMessage;
+    }
+
+    _processFormData(event, form, formData) {
+      const submitData = super._processFormData(event, form, formData);
+      // Ensure triggers, filters, and bands (and their changes) are properly serialized into arrays
+      const toArray = (value) => (foundry.utils.getType(value) === "Object") ? Object.values(value) : value;
+      if (submitData.system?.triggers) submitData.system.triggers = toArray(submitData.system.triggers);
+      if (submitData.system?.filters) submitData.system.filters = toArray(submitData.system.filters);
+      if (submitData.system?.bands) {
+        submitData.system.bands = toArray(submitData.system.bands);
+        for (const band of submitData.system.bands) band.changes = toArray(band.changes ?? []);
+      }
+      return submitData;
+    }
+
+    /**
+     * Submit the form with one of the system's array fields modified
+     * @param {string} fieldName              The name of the array field within the system data
+     * @param {(array: Object[]) => void} modify  A function which modifies the array in place
+     */
+    #modifyArray(fieldName, modify) {
+      const submitData = this._processFormData(null, this.form, new foundry.applications.ux.FormDataExtended(this.form));
+      const array = submitData.system?.[fieldName] ?? [];
+      modify(array);
+      return this.submit({ updateData: { system: { [fieldName]: array } } });
+    }
+
+    static #onAddTrigger() {
+      return this.#modifyArray("triggers", triggers => triggers.push({}));
+    }
+
+    static #onDeleteTrigger(event, target) {
+      const index = Number(target.closest("[data-index]").dataset.index);
+      return this.#modifyArray("triggers", triggers => triggers.splice(index, 1));
+    }
+
+    static #onAddFilter() {
+      return this.#modifyArray("filters", filters => filters.push({}));
+    }
+
+    static #onDeleteFilter(event, target) {
+      const index = Number(target.closest("[data-index]").dataset.index);
+      return this.#modifyArray("filters", filters => filters.splice(index, 1));
+    }
+
+    static #onAddBand() {
+      return this.#modifyArray("bands", bands => bands.push({}));
+    }
+
+    static #onDeleteBand(event, target) {
+      const index = Number(target.closest("[data-index]").dataset.index);
+      return this.#modifyArray("bands", bands => bands.splice(index, 1));
+    }
+
+    static #onAddBandChange(event, target) {
+      const index = Number(target.closest("[data-index]").dataset.index);
+      return this.#modifyArray("bands", bands => bands[index].changes.push({}));
+    }
+
+    static #onDeleteBandChange(event, target) {
+      const index = Number(target.closest("[data-index]").dataset.index);
+      const changeIndex = Number(target.closest("[data-change-index]").dataset.changeIndex);
+      return this.#modifyArray("bands", bands => bands[index].changes.splice(changeIndex, 1));
+    }
+
+    static async #onPreview() {
+      const submitData = this._processFormData(null, this.form, new foundry.applications.ux.FormDataExtended(this.form));
+      if (foundry.utils.getType(submitData.changes) === "Object") submitData.changes = Object.values(submitData.changes);
+      let effect;
+      try {
+        effect = this.document.clone(submitData, { keepId: true });
+      } catch (error) {
+        return ui.notifications.error(error.message);
+      }
+      // Prefer a controlled token, as each token of a linked actor is its own source
+      const controlled = canvas.tokens?.controlled.find(t => t.actor === effect.actor)?.document;
+      const sourceToken = controlled ?? (canvas.scene ? getSourceToken(effect, canvas.scene) : null);
+      if (!sourceToken) return ui.notifications.warn("AURAEFFECTS.Preview.NoSourceToken", { localize: true });
+      const results = await previewAura(effect, sourceToken);
+      const content = await foundry.applications.handlebars.renderTemplate("modules/auraeffects/templates/auraPreview.hbs", {
+        inactive: !effect.active,
+        results: results.map(({ token, failure, error }) => ({
+          name: token.name,
+          applies: !failure,
+          reason: failure ? _loc(`AURAEFFECTS.Preview.Failures.${failure}`, { error }) : ""
+        }))
+      });
+      return foundry.applications.api.DialogV2.prompt({
+        window: { title: _loc("AURAEFFECTS.Preview.Title", { name: effect.name }), icon: "fa-solid fa-flask" },
+        position: { width: 420 },
+        classes: ["auraeffects-preview"],
+        content
+      });
+    }
+
     static #onRevert() {
       const updates = this._processFormData(null, this.form, new foundry.applications.ux.FormDataExtended(this.form));
       if (foundry.utils.getType(updates.changes) !== "Array") updates.changes = Object.values(updates.changes ?? {});
@@ -0,0 +1,169 @@
+import { getAllAuraEffects, getAppliedStackKey, getAuraRegions, getAuraSourceKey, getAuraSourceUuid, getRegionSourceKey, isAppliedFromSource } from "./helpers.mjs";
+import { flushAuraUpdates, queueAuraUpdate } from "./batching.mjs";
+
+/** @import { ActiveEffect, RegionDocument, Scene, TokenDocument } from "@client/documents/_module.mjs" */
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * A GM-facing overview of every aura source on the viewed scene, along with who is currently receiving each aura
+ */
+export default class AuraDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "auraeffects-dashboard",
+    classes: ["auraeffects-dashboard"],
+    window: {
+      title: "AURAEFFECTS.Dashboard.Title",
+      icon: "fa-solid fa-person-rays",
+      resizable: true
+    },
+    position: {
+      width: 640,
+      height: "auto"
+    },
+    actions: {
+      highlightRegion: AuraDashboard.#onHighlightRegion,
+      panToToken: AuraDashboard.#onPanToToken,
+      refresh: AuraDashboard.#onRefresh,
+      toggleEffect: AuraDashboard.#onToggleEffect
+    }
+  };
+
+  static PARTS = {
+    sources: {
+      template: "modules/auraeffects/templates/auraDashboard.hbs",
+      scrollable: [""]
+    }
+  };
+
+  /**
+   * Render the dashboard, re-using the open instance if there is one
+   */
+  static open() {
+    const existing = foundry.applications.instances.get(AuraDashboard.DEFAULT_OPTIONS.id);
+    return (existing ?? new AuraDashboard()).render({ force: true });
+  }
+
+  /**
+   * Re-render the open dashboard, if there is one
+   */
+  static renderIfOpen = foundry.utils.debounce(() => {
+    const existing = foundry.applications.instances.get(AuraDashboard.DEFAULT_OPTIONS.id);
+    if (existing?.rendered) existing.render();
+  }, 100);
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const scene = canvas.scene;
+    context.sources = scene ? AuraDashboard.#getSources(scene) : [];
+    context.hasScene = !!scene;
+    return context;
+  }
+
+  /**
+   * Gather each aura source on a scene, along with its radius, recipients, and (for non-stacking auras) which
+   * tokens in range are instead receiving a "better" aura of the same name
+   * @param {Scene} scene
+   * @returns {Object[]}
+   */
+  static #getSources(scene) {
+    // Aura source key -> tokens within any of that aura's regions
+    const inRange = {};
+    for (const token of scene.tokens) {
+      for (const region of getAuraRegions(token)) {
+        const key = getRegionSourceKey(region);
+        inRange[key] ??= new Set();
+        inRange[key].add(token);
+      }
+    }
+    const sources = [];
+    for (const token of scene.tokens) {
+      if (!token.actor) continue;
+      const [activeEffects, inactiveEffects] = getAllAuraEffects(token.actor);
+      for (const effect of activeEffects.concat(inactiveEffects)) {
+        const active = activeEffects.includes(effect);
+        const key = getAuraSourceKey(effect.uuid, token.uuid);
+        const recipients = [];
+        const outclassed = [];
+        for (const target of inRange[key] ?? []) {
+          const applied = target.actor?.effects.filter(e => e.getFlag("auraeffects", "fromAura")) ?? [];
+          if (applied.some(e => isAppliedFromSource(e, key))) recipients.push(target.name);
+          else if (Number.isFinite(effect.system.maxStacks)) {
+            // Another source's aura of the same stacking group won out on this token
+            const winningEffect = applied.find(e => getAppliedStackKey(e) === effect.system.stackKey);
+            const winner = winningEffect ? fromUuidSync(getAuraSourceUuid(winningEffect)) : null;
+            const winnerTokenUuid = winningEffect?.getFlag("auraeffects", "sourceToken");
+            const winnerToken = winnerTokenUuid ? fromUuidSync(winnerTokenUuid) : null;
+            if (winner) outclassed.push({ token: target.name, winner: winnerToken?.name ?? winner.actor?.name ?? winner.name });
+          }
+        }
+        let radius;
+        try {
+          radius = active ? effect.system.distance : null;
+        } catch {
+          radius = null;
+        }
+        sources.push({
+          uuid: effect.uuid,
+          name: effect.name,
+          tokenId: token.id,
+          tokenName: token.name,
+          img: effect.img,
+          active,
+          disabled: effect.disabled,
+          canStack: effect.system.canStack,
+          radius,
+          units: scene.grid.units,
+          recipients,
+          outclassed
+        });
+      }
+    }
+    return sources.sort((a, b) => a.tokenName.localeCompare(b.tokenName) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the source effect & token for the row an action was taken on
+   * @param {HTMLElement} target
+   * @returns {{effect: ActiveEffect|null, token: TokenDocument|undefined}}
+   */
+  static #getRowDocuments(target) {
+    const { uuid, tokenId } = target.closest("[data-uuid]").dataset;
+    return {
+      effect: fromUuidSync(uuid),
+      token: canvas.scene?.tokens.get(tokenId)
+    };
+  }
+
+  static async #onToggleEffect(event, target) {
+    const { effect } = AuraDashboard.#getRowDocuments(target);
+    await effect?.update({ disabled: !effect.disabled });
+  }
+
+  static async #onPanToToken(event, target) {
+    const { token } = AuraDashboard.#getRowDocuments(target);
+    if (!token?.object) return;
+    token.object.control({ releaseOthers: true });
+    await canvas.animatePan(token.object.center);
+  }
+
+  static async #onHighlightRegion(event, target) {
+    const { effect, token } = AuraDashboard.#getRowDocuments(target);
+    /** @type {RegionDocument|undefined} */
+    const region = token?.attachments.regions.find(r => (r.getFlag("auraeffects", "origin") === effect?.uuid) && ((r.getFlag("auraeffects", "band") ?? null) === null));
+    if (!region?.object) return;
+    canvas.regions.activate();
+    region.object.control({ releaseOthers: true });
+    if (token?.object) await canvas.animatePan(token.object.center);
+  }
+
+  static async #onRefresh(event, target) {
+    const row = target.closest("[data-uuid]");
+    const tokens = row ? [AuraDashboard.#getRowDocuments(target).token] : Array.from(canvas.scene?.tokens ?? []);
+    for (const token of tokens) {
+      if (token?.actor) queueAuraUpdate(token, { regions: true, conditional: true });
+    }
+    if (canvas.scene) await flushAuraUpdates(canvas.scene);
+    await this.render();
+  }
+}
@@ -0,0 +1,172 @@
+import { AURA_AUDIENCES, HIGHLIGHT_MODES } from "./constants.mjs";
+import { getRegionHighlightMode } from "./helpers.mjs";
+
+/** @import { ActiveEffect, RegionDocument } from "@client/documents/_module.mjs" */
+
+/**
+ * Draws the areas of auras which are set to show their radius, on each client separately, so that each aura's style
+ * and audience can be respected. The regions themselves are only displayed while the Regions layer is active
+ */
+export default class AuraLayer extends foundry.canvas.layers.CanvasLayer {
+  static get layerOptions() {
+    return foundry.utils.mergeObject(super.layerOptions, {
+      name: "auraeffects",
+      zIndex: 100
+    });
+  }
+
+  /**
+   * The graphics of auras which pulse
+   * @type {Set<PIXI.Graphics>}
+   */
+  #pulsing = new Set();
+
+  /**
+   * Re-draw every aura, once any changes in quick succession have settled
+   */
+  refresh = foundry.utils.debounce(() => this.#drawAuras(), 50);
+
+  async _draw(options) {
+    this.#drawAuras();
+    canvas.app.ticker.add(this.#animate, this);
+  }
+
+  async _tearDown(options) {
+    canvas.app.ticker.remove(this.#animate, this);
+    this.#pulsing.clear();
+    this.removeChildren().forEach(c => c.destroy());
+  }
+
+  #drawAuras() {
+    if (!this.parent) return;
+    this.#pulsing.clear();
+    this.removeChildren().forEach(c => c.destroy());
+    // The regions layer displays every region itself, and users may hide auras for themselves
+    if (canvas.regions?.active || game.settings.get("auraeffects", "hideAuras")) return;
+    for (const region of canvas.scene?.regions ?? []) {
+      const effect = getDisplayedAura(region);
+      if (!effect || !canViewAura(region, effect)) continue;
+      const graphics = this.addChild(drawAura(region, effect));
+      const sourceToken = region.attachment?.token;
+      if (effect.system.pulse && (sourceToken?.disposition === CONST.TOKEN_DISPOSITIONS.HOSTILE)) this.#pulsing.add(graphics);
+    }
+  }
+
+  #animate() {
+    if (!this.#pulsing.size) return;
+    const alpha = 0.7 + (0.3 * Math.sin(performance.now() / 400));
+    for (const graphics of this.#pulsing) graphics.alpha = alpha;
+  }
+}
+
+/**
+ * Get the source aura effect of a region Aura Effects manages, if it should show its radius
+ * @param {RegionDocument} region
+ * @returns {ActiveEffect|null}
+ */
+function getDisplayedAura(region) {
+  // Placed regions of static auras are displayed as configured on the region itself
+  if (!region.attachment?.token && !region.getFlag("auraeffects", "tile")) return null;
+  const effect = fromUuidSync(region.getFlag("auraeffects", "origin") ?? "", { strict: false });
+  if ((effect?.type !== "auraeffects.aura") || !effect.system.showRadius) return null;
+  return effect;
+}
+
+/**
+ * Whether the current user is within an aura's audience
+ * @param {RegionDocument} region   The aura's region
+ * @param {ActiveEffect} effect     The source aura effect
+ * @returns {boolean}
+ */
+function canViewAura(region, effect) {
+  if (game.user.isGM) return true;
+  const sourceToken = region.attachment?.token;
+  if (sourceToken?.hidden) return false;
+  const isOwner = (sourceToken?.actor ?? effect).isOwner;
+  switch (effect.system.audience) {
+    case AURA_AUDIENCES.OWNERS:
+      return isOwner;
+    case AURA_AUDIENCES.ALLIES:
+      if (isOwner) return true;
+      if (!sourceToken || (sourceToken.disposition === CONST.TOKEN_DISPOSITIONS.SECRET)) return false;
+      return region.parent.tokens.some(t => t.isOwner && (t.disposition === sourceToken.disposition));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Draw an aura's region in the aura's style
+ * @param {RegionDocument} region   The aura's region
+ * @param {ActiveEffect} effect     The source aura effect
+ * @returns {PIXI.Graphics}
+ */
+function drawAura(region, effect) {
+  const { dashed, fillOpacity } = effect.system;
+  const color = Number(region.color ?? game.user.color);
+  const lineWidth = Math.max(2, canvas.dimensions.size / 40);
+  const graphics = new PIXI.Graphics();
+  const polygons = region.polygons;
+  if (fillOpacity) {
+    const cells = (getRegionHighlightMode(effect) === HIGHLIGHT_MODES.COVERAGE) ? getCoveredCells(polygons) : null;
+    graphics.beginFill(color, fillOpacity);
+    for (const shape of cells ?? polygons) graphics.drawShape(shape);
+    graphics.endFill();
+  }
+  graphics.lineStyle({ width: lineWidth, color, alpha: 0.8 });
+  for (const polygon of polygons) {
+    if (dashed) drawDashedPolygon(graphics, polygon.points, lineWidth * 4);
+    else graphics.drawShape(polygon);
+  }
+  return graphics;
+}
+
+/**
+ * Get the grid spaces whose centers are within any of the given polygons, or null on a gridless scene
+ * @param {PIXI.Polygon[]} polygons
+ * @returns {PIXI.Polygon[]|null}
+ */
+function getCoveredCells(polygons) {
+  const grid = canvas.grid;
+  if (grid.isGridless || !polygons.length) return null;
+  const bounds = polygons.map(p => p.getBounds()).reduce((a, b) => a.enlarge(b));
+  const start = grid.getOffset({ x: bounds.left, y: bounds.top });
+  const end = grid.getOffset({ x: bounds.right, y: bounds.bottom });
+  const cells = [];
+  for (let i = start.i; i <= end.i; i++) {
+    for (let j = start.j; j <= end.j; j++) {
+      const { x, y } = grid.getCenterPoint({ i, j });
+      if (!polygons.some(p => p.contains(x, y))) continue;
+      cells.push(new PIXI.Polygon(grid.getVertices({ i, j })));
+    }
+  }
+  return cells;
+}
+
+/**
+ * Draw the outline of a polygon as a dashed line, continuing the pattern across its vertices so that polygons with
+ * many short edges (such as circles) still appear dashed
+ * @param {PIXI.Graphics} graphics
+ * @param {number[]} points     The polygon's points, as [x0, y0, x1, y1, ...]
+ * @param {number} dash         The length of each dash (and gap)
+ */
+function drawDashedPolygon(graphics, points, dash) {
+  let travelled = 0;
+  for (let p = 0; p < points.length; p += 2) {
+    const [x0, y0] = [points[p], points[p + 1]];
+    const [x1, y1] = [points[(p + 2) % points.length], points[(p + 3) % points.length]];
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    let t = 0;
+    while (t < length) {
+      const phase = travelled % (dash * 2);
+      const drawing = phase < dash;
+      const step = Math.min(length - t, (drawing ? dash : dash * 2) - phase);
+      if (drawing) {
+        graphics.moveTo(x0 + ((x1 - x0) * t / length), y0 + ((y1 - y0) * t / length));
+        graphics.lineTo(x0 + ((x1 - x0) * (t + step) / length), y0 + ((y1 - y0) * (t + step) / length));
+      }
+      t += step;
+      travelled += step;
+    }
+  }
+}
\ No newline at end of file
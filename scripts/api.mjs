@@ -1,4 +1,10 @@
-import { DISPOSITIONS } from "./constants.mjs";
+import { RELATIONSHIPS } from "./constants.mjs";
+import { findAppliedAura, getAuraBand, getAuraRegions, getAuraSourceUuid, getRegionSourceKey } from "./helpers.mjs";
+import { rebuildAuras } from "./rebuild.mjs";
+import { getSystemAdapter, registerSystemAdapter } from "./systems/adapters.mjs";
+
+/** @import { ActiveEffect, RegionDocument, Scene, TokenDocument } from "@client/documents/_module.mjs" */
+/** @import { Token } from "@client/canvas/placeables/_module.mjs" */
 
 /**
  * Migrates Active Auras to Aura Effects on all world actors & items, and all _unlocked_ compendium actors & items
@@ -47,11 +53,11 @@ function getMigratedEffectData(oldEffect, oldSettings) {
     isAura = false,
     // applied -> don't, but get `flags.ActiveAuras.fromAura`
     applied = false,
-    // type -> see typeCheck based on system
+    // type -> converted to a script using the system adapter's creature types, if any
     type = "",
     // customCheck -> will have to see what vars differ
     customCheck = "",
-    // alignment -> if exists, assume 5e/sw5e and convert to script
+    // alignment -> converted to a script using the system adapter's alignment
     alignment = "",
     // radius -> system.distance
     radius = "0",
@@ -59,16 +65,13 @@ function getMigratedEffectData(oldEffect, oldSettings) {
     nameOverride = "",
     // wallsBlock -> move to system.collisionType with movement ig
     wallsBlock = "system",
-    // ignoreSelf -> system.applyToSelf
+    // ignoreSelf -> system.relationships (self)
     ignoreSelf = false,
-    // aura -> system.disposition
+    // aura -> system.relationships
     aura = "All",
     // statuses -> move to statuses
     statuses = [],
-    // wildcard -> move to customCheck
-    wildcard = false,
-    // extra -> move to customCheck
-    extra = false,
+    // wildcard & extra -> handled by the system adapter, if any
     // hidden -> hmm (don't show/work while hidden)
     hidden = true,
     // displayTemp -> remove
@@ -85,45 +88,20 @@ function getMigratedEffectData(oldEffect, oldSettings) {
   };
   diffEffectData.statuses = Array.from(new Set(oldEffectData.statuses.concat(statuses)));
   if (isAura) {
-    let newCustomCheck = customCheck.trim()
+    const conditions = [];
+    const oldCustomCheck = customCheck.trim()
       .replaceAll("sourceToken", "sourceTokenOld")
       .replaceAll("auraEntity", "sourceToken");
-    let alreadyTouchedCheck = false;
-    if (alignment) {
-      alreadyTouchedCheck = true;
-      if (newCustomCheck.length) {
-        newCustomCheck = `(${newCustomCheck}) && `;
-      }
-      newCustomCheck += `(actor.system.details?.alignment?.toLowerCase().includes("${alignment.toLowerCase()}"))`;
-    }
-    if (type) {
-      const allowedIds = ["dnd5e", "swade", "dnd4e"];
-      if (allowedIds.includes(game.system.id)) {
-        if (newCustomCheck.length) {
-          if (!alreadyTouchedCheck) newCustomCheck = `(${newCustomCheck})`;
-          newCustomCheck += " && ";
-        }
-        if (game.system.id === "dnd5e") {
-          newCustomCheck += `(Object.values(actor.system.details.type).concat(actor.system.details.race?.name).some(type => "${type.toLowerCase()}".split(";").filter(t => t).includes(type?.toLowerCase())))`;
-        } else if (game.system.id === "swade") {
-          newCustomCheck += `("${type.toLowerCase()}".split(";").filter(t => t).includes(actor.system.details.species?.name?.toLowerCase()))`;
-        } else if (game.system.id === "dnd4e") {
-          newCustomCheck += `([actor.system.details.type, actor.system.details.other, actor.system.details.origin].some(type => "${type.toLowerCase}".split(";").filter(t => t).includes(type?.toLowerCase())))`;
-        }
-      }
-    }
-    if (game.system.id === "swade") {
-      if ((!wildcard || !extra) && (wildcard !== extra)) {
-        if (newCustomCheck.length) {
-          if (!alreadyTouchedCheck) newCustomCheck = `(${newCustomCheck})`;
-          newCustomCheck += " && ";
-        }
-        newCustomCheck += `(${wildcard ? "" : "!"}actor.isWildcard)`;
-      }
+    if (oldCustomCheck.length) conditions.push(oldCustomCheck);
+    if (alignment) conditions.push(`alignment.includes("${alignment.toLowerCase()}")`);
+    const adapter = getSystemAdapter();
+    if (type && adapter?.getCreatureTypes) {
+      conditions.push(`creatureTypes.some(type => "${type.toLowerCase()}".split(";").filter(t => t).includes(type))`);
     }
+    conditions.push(...(adapter?.getActiveAurasConditions?.(oldEffect.flags.ActiveAuras) ?? []));
+    const newCustomCheck = (conditions.length > 1) ? conditions.map(c => `(${c})`).join(" && ") : (conditions[0] ?? "");
     diffEffectData.type = "auraeffects.aura";
     diffEffectData.system = _replace({
-      applyToSelf: !ignoreSelf,
       collisionType: wallsBlock === "system"
         ? oldSettings.wallsBlock?.[0]
         : wallsBlock === "true"
@@ -131,13 +109,9 @@ function getMigratedEffectData(oldEffect, oldSettings) {
           : "",
       disableOnHidden: hidden,
       distanceFormula: radius,
-      disposition: aura === "All"
-        ? DISPOSITIONS.ANY 
-        : aura === "Allies"
-          ? DISPOSITIONS.FRIENDLY
-          : DISPOSITIONS.HOSTILE,
       evaluatePreApply: true,
       overrideName: nameOverride,
+      relationships: getMigratedRelationships(aura, ignoreSelf),
       script: newCustomCheck,
     });
     diffEffectData["flags.ActiveAuras"] = _del;
@@ -147,6 +121,102 @@ function getMigratedEffectData(oldEffect, oldSettings) {
   return diffEffectData;
 }
 
+/**
+ * Convert Active Auras' "aura" targeting & "ignoreSelf" into a list of relationships
+ * @param {string} aura         "All", "Allies", or "Enemy"
+ * @param {boolean} ignoreSelf  Whether the aura ignored its source
+ * @returns {string[]}
+ */
+function getMigratedRelationships(aura, ignoreSelf) {
+  const { ALLY, ENEMY, NEUTRAL, SECRET, SELF } = RELATIONSHIPS;
+  const relationships = (aura === "All")
+    ? [ALLY, ENEMY, NEUTRAL, SECRET]
+    : (aura === "Allies")
+      ? [ALLY]
+      : [ENEMY];
+  if (!ignoreSelf) relationships.push(SELF);
+  return relationships;
+}
+
+/**
+ * Get every source aura effect whose region the given token is currently within, whether or not it was applied
+ * @param {Token|TokenDocument} token     The token to check
+ * @returns {{effect: ActiveEffect, region: RegionDocument, applied: boolean}[]}
+ */
+function getAuraSources(token) {
+  token = token?.document ?? token;
+  if (!token) return [];
+  // An aura with bands has a region per band, so only the smallest band the token is within is kept for each source
+  const sources = new Map();
+  for (const region of getAuraRegions(token)) {
+    const key = getRegionSourceKey(region);
+    if (sources.has(key)) continue;
+    const effect = fromUuidSync(region.getFlag("auraeffects", "origin"));
+    if (!effect) continue;
+    const band = getAuraBand(effect, token, region.attachment?.token);
+    const bandRegion = getAuraRegions(token).find(r => (getRegionSourceKey(r) === key) && ((r.getFlag("auraeffects", "band") ?? null) === band));
+    sources.set(key, { effect, region: bandRegion ?? region, applied: !!findAppliedAura(token.actor, key) });
+  }
+  return Array.from(sources.values());
+}
+
+/**
+ * Get every aura-applied effect currently on the given token's actor
+ * @param {Token|TokenDocument} token     The token to check
+ * @returns {ActiveEffect[]}
+ */
+function getAppliedAuras(token) {
+  token = token?.document ?? token;
+  return token?.actor?.effects.filter(e => e.getFlag("auraeffects", "fromAura")) ?? [];
+}
+
+/**
+ * Get every token on a scene which is currently receiving the given source aura effect
+ * @param {ActiveEffect} effect           The source aura effect
+ * @param {Scene} [scene=canvas.scene]    The scene to check
+ * @returns {TokenDocument[]}
+ */
+function getAuraRecipients(effect, scene = canvas.scene) {
+  if (!scene || (effect?.type !== "auraeffects.aura")) return [];
+  return scene.tokens.filter(t => t.actor?.effects.some(e => getAuraSourceUuid(e) === effect.uuid));
+}
+
+/**
+ * Get the region which represents the area of the given source aura effect (or one of its bands) as emitted by a
+ * particular token, or the static region of an aura not emitted by a token
+ * @param {ActiveEffect} effect                     The source aura effect
+ * @param {Token|TokenDocument|null} [token=null]   The token emitting the aura, or null for a static aura on the
+ *                                                  current scene
+ * @param {number|null} [band=null]                 The index of the aura's band, or null for its base band
+ * @returns {RegionDocument|undefined}
+ */
+function getAuraRegion(effect, token = null, band = null) {
+  token = token?.document ?? token;
+  if (!effect) return;
+  const scene = token ? token.parent : canvas.scene;
+  return scene?.regions.find(r => (r.getFlag("auraeffects", "origin") === effect.uuid)
+    && ((r.attachment?.token ?? null) === token)
+    && ((r.getFlag("auraeffects", "band") ?? null) === band));
+}
+
+/**
+ * Get the radius (or length, for non-emanation shapes) the given source aura effect would currently have, in grid
+ * units, or null if it is not an active aura
+ * @param {ActiveEffect} effect   The source aura effect
+ * @returns {number|null}
+ */
+function getAuraRadius(effect) {
+  if ((effect?.type !== "auraeffects.aura") || effect.disabled || effect.isSuppressed) return null;
+  return effect.system.distance;
+}
+
 export const api = {
-  migrateActiveAuras
+  getAppliedAuras,
+  getAuraRadius,
+  getAuraRecipients,
+  getAuraRegion,
+  getAuraSources,
+  migrateActiveAuras,
+  rebuildAuras,
+  registerSystemAdapter
 }
\ No newline at end of file
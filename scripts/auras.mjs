@@ -1,31 +1,37 @@
 import AuraActiveEffectDataMixin from "./AuraActiveEffectData.mjs";
 import AuraActiveEffectSheetMixin from "./AuraActiveEffectSheet.mjs";
-import { auraShouldApply, getAuraRegions, refreshConditionalAuras, removeAndReplaceAuras, updateAllAuraRegions } from "./helpers.mjs";
-import { applyAuraEffects, deleteEffects, updateRegionsForToken } from "./queries.mjs";
+import AuraDashboard from "./AuraDashboard.mjs";
+import AuraLayer from "./AuraLayer.mjs";
+import { filterApplicableSources, findAppliedAura, getAllAuraEffects, getAuraRegions, getRegionSourceKey, isAuraModifierKey, isStaticAuraRegion, modifiesAuras, resolveAuraSource, refreshStaticAura, removeAndReplaceAuras, removeExpiredAuras, runAuraTriggers, updateTileAuraRegion } from "./helpers.mjs";
+import { applyAuraEffects, deleteEffects, executeTriggers, lingerEffects, updateAuraRegions, updateRegionsForToken } from "./queries.mjs";
+import { queueAuraUpdate } from "./batching.mjs";
+import { rebuildAuras } from "./rebuild.mjs";
 import { registerSettings } from "./settings.mjs";
 import { migrate } from "./migrations.mjs";
 import { api } from "./api.mjs";
-import { registerDnd5eHooks } from "./systems/dnd5e.mjs";
+import { registerSystemHooks } from "./systems/adapters.mjs";
+import { TRIGGER_EVENTS } from "./constants.mjs";
 
-/** @import { ActiveEffect, TokenDocument, User } from "@client/documents/_module.mjs"; */
+/** @import { ActiveEffect, RegionDocument, Scene, TileDocument, TokenDocument, User } from "@client/documents/_module.mjs"; */
+/** @import { RegionConfig, TileConfig } from "@client/applications/sheets/_module.mjs"; */
+/** @import { SceneControl } from "@client/applications/_types.mjs"; */
+/** @import { TokenHUD } from "@client/applications/hud/_module.mjs"; */
 
-// Track whether the "with no GM this no work" warning has been seen
+// Track whether the "no GM, so changes are deferred" warning has been seen
 let seenWarning = false;
 
 // Track whether to mix the base effect type
 let mixBase = true;
 
 /**
- * A small helper function to determine whether an active GM is present and warn the user if not
- * @returns {User}
+ * A small helper function to warn the user if no active GM is present, in which case aura changes may be deferred
+ * until one connects
  */
-function checkActiveGM() {
-  const activeGM = game.users.activeGM;
-  if (!activeGM && !seenWarning) {
-    ui.notifications.warn("AURAEFFECTS.NoActiveGM", { localize: true });
-    seenWarning = true;
-  }
-  return activeGM;
+function warnIfNoActiveGM() {
+  if (game.users.activeGM || seenWarning) return;
+  const ownerApplication = game.settings.get("auraeffects", "ownerApplication");
+  ui.notifications.warn(ownerApplication ? "AURAEFFECTS.NoActiveGMOwners" : "AURAEFFECTS.NoActiveGM", { localize: true });
+  seenWarning = true;
 }
 
 
@@ -36,71 +42,33 @@ function checkActiveGM() {
  * @param {String} userId         The initiating User's ID
  */
 async function createToken(token, options, userId) {
-  // Exit early for non-initiators, or if no active GM
+  // Exit early for non-initiators
   if (game.user.id !== userId) return;
   if (!token.actor) return;
-  if (!checkActiveGM()) return;
-  await updateAllAuraRegions(token);
+  warnIfNoActiveGM();
+  await queueAuraUpdate(token, { regions: true });
 }
 
 /**
  * Provided the arguments for the updateToken hook, checks whether any updates should cause a change in
- * auras (e.g. a token becoming hidden or un-hidden) and applies those changes
+ * auras (e.g. a token becoming hidden or un-hidden) and queues those changes, so that a group of tokens being
+ * moved, or a token moving along several waypoints, only applies the end result
  * @param {TokenDocument} token     The token being updated
  * @param {Object} updates          The updates
  * @param {Object} options          Additional options
  * @param {string} userId           The initiating User's ID
  */
 async function updateToken(token, updates, options, userId) {
-  // Exit early for non-initiators, or if no active GM
+  // Exit early for non-initiators
   if (game.user.id !== userId) return;
   if (!token.actor) return;
-  const activeGM = checkActiveGM();
-  if (!activeGM) return;
-  await updateAllAuraRegions(token);
-  await refreshConditionalAuras(token);
-
-  // Disposition change
-  if ("disposition" in updates) {
-    const appliedAuras = token.actor.effects.filter(e => e.getFlag("auraeffects", "fromAura"));
-    const [toApply, toRemove] = getAuraRegions(token)
-      .map(r => fromUuidSync(r.getFlag("auraeffects", "origin")))
-      .reduce((acc, effect) => {
-        if (!effect) return acc;
-        if (auraShouldApply(effect, token)) acc[0].push(effect.uuid);
-        else {
-          // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
-          const appliedAura = appliedAuras.find(e => {
-            const fromAura = e.getFlag("auraeffects", "fromAura");
-            if (!fromAura) return false;
-            return [fromAura, e.origin].includes(effect.uuid);
-          });
-          if (appliedAura) acc[1].push(appliedAura);
-        }
-        return acc;
-      }, [[], []]);
-    if (toApply.length) await activeGM.query("auraeffects.applyAuraEffects", {[token.actor.uuid]: toApply});
-    await removeAndReplaceAuras(toRemove, token.parent);
-  }
-  
-  // Regions change
-  const priorRegionIds = options._priorRegions?.[token.id];
-  if (!priorRegionIds) return;
-  const oldRegions = priorRegionIds.map(i => token.parent.regions.get(i)).filter(r => r && !token.regions.has(r));
-  const originsToRemove = new Set(oldRegions.map(r => r.getFlag("auraeffects", "origin")))
-  // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
-  const toRemove = token.actor.effects.contents.filter(e => {
-    const fromAura = e.getFlag("auraeffects", "fromAura");
-    if (!fromAura) return false;
-    return originsToRemove.has((fromAura === true) ? e.origin : fromAura);
+  warnIfNoActiveGM();
+  await queueAuraUpdate(token, {
+    regions: true,
+    conditional: true,
+    disposition: "disposition" in updates,
+    priorRegionIds: options._priorRegions?.[token.id]
   });
-  await removeAndReplaceAuras(toRemove, token.parent);
-  const toApply = getAuraRegions(token)
-    .filter(r => !priorRegionIds.includes(r.id))
-    .map(r => fromUuidSync(r.getFlag("auraeffects", "origin")))
-    .filter(e => e && auraShouldApply(e, token))
-    .map(e => e.uuid);
-  await activeGM.query("auraeffects.applyAuraEffects", {[token.actor.uuid]: Array.from(toApply)});
 }
 
 /**
@@ -112,15 +80,16 @@ async function updateToken(token, updates, options, userId) {
  */
 async function addRemoveEffect(effect, options, userId) {
   if (!effect.modifiesActor || !(effect.target instanceof Actor)) return;
-  // Avoid calling this every time we add/remove an aura effect. Might miss some weird conditionals, but saves time
-  if (foundry.utils.hasProperty(effect, 'flags.auraeffects.fromAura')) return;
-  // Exit early for non-initiators or if no active GM
+  // Avoid calling this every time we add/remove an aura effect. Might miss some weird conditionals, but saves time.
+  // Applied effects which modify the recipient's own auras are the exception
+  if (foundry.utils.hasProperty(effect, 'flags.auraeffects.fromAura') && !modifiesAuras(effect)) return;
+  // Exit early for non-initiators
   if (game.user.id !== userId) return;
-  const [token] = effect.target.getActiveTokens(false, true);
-  if (!token) return;
-  if (!checkActiveGM()) return;
-  await updateAllAuraRegions(token);
-  await refreshConditionalAuras(token);
+  // Each token of a linked actor emits its own auras
+  const tokens = effect.target.getActiveTokens(false, true);
+  if (!tokens.length) return;
+  warnIfNoActiveGM();
+  await Promise.all(tokens.map(token => queueAuraUpdate(token, { regions: true, conditional: true })));
 }
 
 /**
@@ -133,13 +102,114 @@ async function addRemoveEffect(effect, options, userId) {
  */
 async function updateActiveEffect(effect, updates, options, userId) {
   if (game.user.id !== userId) return;
-  if (effect.type !== "auraeffects.aura") return;
-   const actor = (effect.parent instanceof Actor) ? effect.parent : effect.parent?.parent;
-  const [token] = actor?.getActiveTokens(false, true) ?? [];
-  if (!token) return;
-  if (!checkActiveGM()) return;
-  await updateAllAuraRegions(token);
-  await refreshConditionalAuras(token);
+  if (effect.type !== "auraeffects.aura") return updateOrdinaryEffect(effect, updates);
+  await updateStaticAuras(effect);
+  const actor = (effect.parent instanceof Actor) ? effect.parent : effect.parent?.parent;
+  const tokens = actor?.getActiveTokens(false, true) ?? [];
+  if (!tokens.length) return;
+  warnIfNoActiveGM();
+  await Promise.all(tokens.map(token => queueAuraUpdate(token, { regions: true, conditional: true })));
+}
+
+/**
+ * Update any static auras (those emitted by regions & tiles) on any scene which originate from the given source
+ * effect, e.g. after a change to its distance or whether it is active
+ * @param {ActiveEffect} effect   The source aura effect
+ */
+async function updateStaticAuras(effect) {
+  const isSource = (document) => document.getFlag("auraeffects", "origin") === effect.uuid;
+  for (const scene of game.scenes) {
+    const sourceTiles = scene.tiles.filter(isSource);
+    if (!sourceTiles.length && !scene.regions.some(r => isStaticAuraRegion(r) && isSource(r))) continue;
+    warnIfNoActiveGM();
+    // Tile regions are sized by the aura's distance
+    for (const tile of sourceTiles) await updateTileAuraRegion(tile);
+    await refreshStaticAura(effect, scene);
+  }
+}
+
+/**
+ * Apply or remove the static auras (i.e. ones emitted by a region rather than a token) with the given origins, for
+ * every token they affect or have affected
+ * @param {Scene} scene         The scene on which to perform any necessary logic
+ * @param {string[]} origins    The uuids of the source aura effects
+ */
+async function refreshStaticRegionAuras(scene, origins) {
+  for (const origin of new Set(origins)) {
+    const effect = fromUuidSync(origin);
+    if (effect?.type === "auraeffects.aura") await refreshStaticAura(effect, scene);
+  }
+}
+
+/**
+ * Provided the arguments for the createRegion hook, applies a static aura to any tokens within the new region
+ * @param {RegionDocument} region The region being created
+ * @param {Object} options        Additional options
+ * @param {String} userId         The initiating User's ID
+ */
+async function createRegion(region, options, userId) {
+  if (game.user.id !== userId) return;
+  if (!region.parent || !isStaticAuraRegion(region)) return;
+  warnIfNoActiveGM();
+  await refreshStaticRegionAuras(region.parent, [region.getFlag("auraeffects", "origin")]);
+}
+
+/**
+ * Provided the arguments for the preUpdateRegion hook, remembers a region's aura source in case it changes
+ * @param {RegionDocument} region The region being updated
+ * @param {Object} changes        The changes being made
+ * @param {Object} options        Additional options
+ */
+function preUpdateRegion(region, changes, options) {
+  const origin = region.getFlag("auraeffects", "origin");
+  if (origin && foundry.utils.hasProperty(changes, "flags.auraeffects")) options._priorAuraOrigin = origin;
+}
+
+/**
+ * Provided the arguments for the updateRegion hook, applies or removes a static aura for every token it affects or has
+ * affected, including the aura the region previously emitted if it has changed
+ * @param {RegionDocument} region The region being updated
+ * @param {Object} updates        The update data
+ * @param {Object} options        Additional options
+ * @param {String} userId         The initiating User's ID
+ */
+async function updateRegion(region, updates, options, userId) {
+  if (game.user.id !== userId) return;
+  if (!region.parent || region.attachment?.token) return;
+  const origins = [region.getFlag("auraeffects", "origin"), options._priorAuraOrigin].filter(Boolean);
+  if (!origins.length) return;
+  warnIfNoActiveGM();
+  await refreshStaticRegionAuras(region.parent, origins);
+}
+
+/**
+ * Provided the arguments for the createTile or deleteTile hooks, creates or deletes the region representing the
+ * tile's aura
+ * @param {TileDocument} tile     The tile being created or deleted
+ * @param {Object} options        Additional options
+ * @param {String} userId         The initiating User's ID
+ */
+async function createDeleteTile(tile, options, userId) {
+  if (game.user.id !== userId) return;
+  if (!tile.getFlag("auraeffects", "origin")) return;
+  warnIfNoActiveGM();
+  await updateTileAuraRegion(tile, { deleted: !tile.parent.tiles.has(tile.id) });
+}
+
+/**
+ * Provided the arguments for the updateTile hook, keeps the region representing the tile's aura in line with the tile
+ * @param {TileDocument} tile     The tile being updated
+ * @param {Object} updates        The update data
+ * @param {Object} options        Additional options
+ * @param {String} userId         The initiating User's ID
+ */
+async function updateTile(tile, updates, options, userId) {
+  if (game.user.id !== userId) return;
+  if (!["x", "y", "width", "height", "rotation", "flags"].some(k => k in updates)) return;
+  const hasRegion = tile.parent.regions.some(r => r.getFlag("auraeffects", "tile") === tile.id);
+  if (!tile.getFlag("auraeffects", "origin") && !hasRegion) return;
+  warnIfNoActiveGM();
+  await updateTileAuraRegion(tile);
 }
 
 /**
@@ -151,17 +221,77 @@ async function updateActiveEffect(effect, updates, options, userId) {
  */
 async function deleteRegion(region, options, userId) {
   if (game.user.id !== userId) return;
+  // Rebuilds handle the effects of the orphaned regions they delete themselves
+  if (options._auraRebuild) return;
   const originUuid = region.getFlag("auraeffects", "origin");
   if (!originUuid) return;
   if (!region.parent) return;
-  if (!checkActiveGM()) return;
-  // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
-  const toRemove = Array.from(region.tokens).map(t => t.actor?.effects.find(e => [e.getFlag("auraeffects", "fromAura"), e.origin].includes(originUuid))).filter(Boolean);
+  warnIfNoActiveGM();
+  const key = getRegionSourceKey(region);
+  const toRemove = Array.from(region.tokens)
+    // Tokens still within another band of the same aura keep it
+    .filter(t => !getAuraRegions(t).some(r => (r !== region) && (getRegionSourceKey(r) === key)))
+    .map(t => findAppliedAura(t.actor, key))
+    .filter(Boolean);
   await removeAndReplaceAuras(toRemove, region.parent);
 }
 
 /**
- * Provided the arguments for the updateActor hook, refresh any conditional-having effects
+ * Provided the arguments for the applyActiveEffect hook, prevents core from applying the change keys with which effects
+ * modify their actor's auras to the actor's data, since Aura Effects reads those changes itself
+ * @param {Actor} actor     The actor the change is being applied to
+ * @param {Object} change   The change being applied
+ * @returns {false|void}
+ */
+function skipAuraModifier(actor, change) {
+  if (isAuraModifierKey(change.key)) return false;
+}
+
+/**
+ * After an ordinary effect is updated, re-create its actor's aura regions if it modifies (or, until this update,
+ * modified) them, in case their radius, relationships, or suppression have changed; otherwise, refresh whatever
+ * depends on the actor, in case the effect has changed its roll data
+ * @param {ActiveEffect} effect     The effect being updated
+ * @param {Object} updates          The updates
+ */
+async function updateOrdinaryEffect(effect, updates) {
+  // Applied aura effects are updated in place whenever they're re-applied, so only those which modify the recipient's
+  // own auras are followed, just as when they're created or deleted
+  if (foundry.utils.hasProperty(effect, "flags.auraeffects.fromAura") && !modifiesAuras(effect)) return;
+  const actor = (effect.parent instanceof Actor) ? effect.parent : effect.parent?.parent;
+  if (!(actor instanceof Actor)) return;
+  const changesUpdated = ("changes" in updates) || ("changes" in (updates.system ?? {}));
+  if (!modifiesAuras(effect) && !changesUpdated) return queueDependentUpdates(actor);
+  const tokens = actor.getActiveTokens(false, true);
+  if (!tokens.length) return;
+  warnIfNoActiveGM();
+  await Promise.all(tokens.map(token => queueAuraUpdate(token, { regions: true, conditional: true })));
+}
+
+/**
+ * After a change to an actor which may have changed its roll data or state, resize the regions of its auras which
+ * are calculated from it, re-check (and re-apply, if their values are out of date) the recipients of its auras which
+ * depend on it, and re-check the auras its tokens are within which depend on their recipients
+ * @param {Actor} actor
+ */
+async function queueDependentUpdates(actor) {
+  const auras = getAllAuraEffects(actor).flat();
+  const dependencies = auras.map(e => e.system.dependencies);
+  // Auras of this actor emitted by regions & tiles
+  for (const [index, effect] of auras.entries()) {
+    const { radius, source, values } = dependencies[index];
+    if (radius || source || values) await updateStaticAuras(effect);
+  }
+  const tokens = actor.getActiveTokens(false, true);
+  if (!tokens.length) return;
+  warnIfNoActiveGM();
+  const regions = dependencies.some(d => d.radius);
+  const sources = dependencies.some(d => d.source || d.values);
+  await Promise.all(tokens.map(token => queueAuraUpdate(token, { regions, conditional: true, sources })));
+}
+
+/**
+ * Provided the arguments for the updateActor hook, refresh any auras which depend on the actor
  * @param {Actor} actor     The actor being updated
  * @param {Object} updates  The updates
  * @param {Object} options  Additional options
@@ -169,10 +299,33 @@ async function deleteRegion(region, options, userId) {
  */
 async function updateActor(actor, updates, options, userId) {
   if (game.user.id !== userId) return;
-  const [token] = actor.getActiveTokens(false, true) ?? [];
-  if (!token) return;
-  if (!checkActiveGM()) return;
-  await refreshConditionalAuras(token);
+  await queueDependentUpdates(actor);
+}
+
+/**
+ * Provided the arguments for the createItem or deleteItem hooks, refresh any auras which depend on the item's actor,
+ * e.g. after gaining a class level
+ * @param {Item} item         The item being created or deleted
+ * @param {Object} options    Additional options
+ * @param {String} userId     The initiating User's ID
+ */
+async function addRemoveItem(item, options, userId) {
+  if (game.user.id !== userId) return;
+  if (!(item.parent instanceof Actor)) return;
+  await queueDependentUpdates(item.parent);
+}
+
+/**
+ * Provided the arguments for the updateItem hook, refresh any auras which depend on the item's actor
+ * @param {Item} item         The item being updated
+ * @param {Object} updates    The updates
+ * @param {Object} options    Additional options
+ * @param {String} userId     The initiating User's ID
+ */
+async function updateItem(item, updates, options, userId) {
+  if (game.user.id !== userId) return;
+  if (!(item.parent instanceof Actor)) return;
+  await queueDependentUpdates(item.parent);
 }
 
 /**
@@ -184,9 +337,8 @@ async function updateActor(actor, updates, options, userId) {
 async function addRemoveCombatant(combatant, options, userId) {
   if (game.user.id !== userId) return;
   if (!combatant.token) return;
-  if (!checkActiveGM()) return;
-  await updateAllAuraRegions(combatant.token);
-  await refreshConditionalAuras(combatant.token);
+  warnIfNoActiveGM();
+  await queueAuraUpdate(combatant.token, { regions: true, conditional: true });
 }
 
 /**
@@ -197,17 +349,10 @@ async function addRemoveCombatant(combatant, options, userId) {
  */
 async function deleteCombat(combat, options, userId) {
   if (game.user.id !== userId) return;
-  if (!checkActiveGM()) return;
-  for (const combatant of combat.combatants) {
-    if (!combatant.token) continue;
-    await updateAllAuraRegions(combatant.token);
-  }
-
-  // Split this into its own loop to avoid refreshing auras which may be removed in the above loop
-  for (const combatant of combat.combatants) {
-    if (!combatant.token) continue;
-    await refreshConditionalAuras(combatant.token);
-  }
+  warnIfNoActiveGM();
+  // Regions are all updated before any conditionals are re-checked, so auras which are removed aren't refreshed
+  const tokens = combat.combatants.map(c => c.token).filter(Boolean);
+  await Promise.all(tokens.map(token => queueAuraUpdate(token, { regions: true, conditional: true })));
 }
 
 /**
@@ -220,13 +365,167 @@ async function deleteCombat(combat, options, userId) {
 async function updateCombat(combat, updates, options, userId) {
   if (game.user.id !== userId) return;
   if (!("round" in updates) && !("turn" in updates)) return;
-  if (!checkActiveGM()) return;
-  for (const combatant of combat.combatants) {
-    if (!combatant.token) continue;
-    await refreshConditionalAuras(combatant.token);
+  warnIfNoActiveGM();
+  if (combat.scene) await removeExpiredAuras(combat.scene);
+  const tokens = combat.combatants.map(c => c.token).filter(Boolean);
+  await Promise.all(tokens.map(token => queueAuraUpdate(token, { conditional: true })));
+
+  // Start & end of turn triggers
+  const previousToken = combat.combatants.get(combat.previous?.combatantId)?.token;
+  const currentToken = combat.combatant?.token;
+  const getTriggerPairs = async (token) => {
+    if (!token?.actor) return [];
+    const keys = Array.from(new Set(getAuraRegions(token).map(getRegionSourceKey)));
+    return (await filterApplicableSources(keys, token)).map(key => {
+      const { effect, sourceToken } = resolveAuraSource(key);
+      return [effect, token, sourceToken];
+    });
+  };
+  await runAuraTriggers(TRIGGER_EVENTS.TURN_END, await getTriggerPairs(previousToken));
+  await runAuraTriggers(TRIGGER_EVENTS.TURN_START, await getTriggerPairs(currentToken));
+}
+
+/**
+ * Provided the arguments for the updateWorldTime hook, remove any lingering auras on any scene which have run out
+ * @param {number} worldTime  The new world time
+ * @param {number} delta      The time delta
+ * @param {Object} options    Additional options
+ * @param {String} userId     The initiating User's ID
+ */
+async function updateWorldTime(worldTime, delta, options, userId) {
+  // World time has no "owner" worth following, so let the active GM handle it
+  if (!game.user.isActiveGM) return;
+  const hasLingering = (scene) => scene.tokens.some(t => t.actor?.effects.some(e => e.getFlag("auraeffects", "lingering")));
+  for (const scene of game.scenes) {
+    if (hasLingering(scene)) await removeExpiredAuras(scene);
   }
 }
 
+/**
+ * Rebuild the auras of the viewed scene, and of every scene users recorded changes for while no GM was connected, from
+ * scratch, bringing them in line with those changes (or any which were otherwise missed), then replay any triggers
+ * which fired in the meantime
+ */
+async function rebuildSceneAuras() {
+  if (!game.user.isActiveGM) return;
+  const sceneIds = new Set(game.users.flatMap(u => Object.keys(u.getFlag("auraeffects", "pendingChanges") ?? {})));
+  if (canvas.scene) sceneIds.add(canvas.scene.id);
+  for (const sceneId of sceneIds) {
+    const key = `pendingChanges.${sceneId}`;
+    const users = game.users.filter(u => u.getFlag("auraeffects", key));
+    const triggers = users.flatMap(u => u.getFlag("auraeffects", key));
+    await Promise.all(users.map(u => u.unsetFlag("auraeffects", key)));
+    // Changes recorded for scenes which have since been deleted are simply discarded
+    const scene = game.scenes.get(sceneId);
+    if (!scene) continue;
+    await rebuildAuras(scene, { quiet: true });
+    for (const data of triggers) await executeTriggers(data);
+  }
+}
+
+/**
+ * Injects a field for a static aura source effect into the Region or Tile Config sheet, for regions which are not
+ * already managed by Aura Effects
+ * @param {RegionConfig|TileConfig} app   The config sheet being rendered
+ * @param {HTMLElement} html              The HTML Element
+ */
+function injectStaticAuraSource(app, html) {
+  const document = app.document;
+  if ((document.documentName === "Region") && (document.attachment?.token || document.getFlag("auraeffects", "tile"))) return;
+  const tab = html.querySelector(".tab[data-tab=identity], .tab[data-tab=appearance]") ?? html.querySelector(".tab");
+  if (!tab || tab.querySelector("[name='flags.auraeffects.origin']")) return;
+  const field = new foundry.data.fields.DocumentUUIDField({ type: "ActiveEffect" });
+  const formGroup = field.toFormGroup({
+    label: _loc("AURAEFFECTS.StaticAura.Label"),
+    hint: _loc("AURAEFFECTS.StaticAura.Hint")
+  }, {
+    name: "flags.auraeffects.origin",
+    value: document.getFlag("auraeffects", "origin") ?? ""
+  });
+  tab.insertAdjacentElement("beforeend", formGroup);
+}
+
+/**
+ * Injects a palette into the Token HUD listing the auras the token emits which the user owns, allowing them to be
+ * enabled/disabled and their radius shown/hidden in one click
+ * @param {TokenHUD} app        The Token HUD being rendered
+ * @param {HTMLElement} html    The HTML Element
+ */
+async function injectTokenHUDAuras(app, html) {
+  const actor = app.document.actor;
+  if (!actor) return;
+  const [activeEffects, inactiveEffects] = getAllAuraEffects(actor);
+  const auras = activeEffects.concat(inactiveEffects).filter(e => e.isOwner);
+  if (!auras.length) return;
+  const template = document.createElement("template");
+  template.innerHTML = await foundry.applications.handlebars.renderTemplate("modules/auraeffects/templates/tokenHUDAuras.hbs", {
+    auras: auras.map(e => ({
+      uuid: e.uuid,
+      name: e.name,
+      img: e.img,
+      disabled: e.disabled,
+      showRadius: e.system.showRadius
+    }))
+  });
+  const column = html.querySelector(".col.right");
+  if (!column) return;
+  column.append(...template.content.children);
+  const button = column.querySelector(".auraeffects-hud-button");
+  const palette = column.querySelector(".auraeffects-palette");
+  button.addEventListener("click", () => {
+    const active = !palette.classList.contains("active");
+    // Close any other open palettes, as the HUD itself would
+    if (active) html.querySelectorAll(".palette.active, .control-icon[data-palette].active").forEach(e => e.classList.remove("active"));
+    palette.classList.toggle("active", active);
+    button.classList.toggle("active", active);
+  });
+  // Updates flow through the updateActiveEffect hook, which re-creates the aura's regions as needed
+  palette.addEventListener("click", async event => {
+    const target = event.target.closest("[data-auraeffects-action]");
+    if (!target) return;
+    const effect = fromUuidSync(target.closest("[data-uuid]").dataset.uuid);
+    if (!effect) return;
+    if (target.dataset.auraeffectsAction === "toggleEffect") {
+      await effect.update({ disabled: !effect.disabled });
+      target.classList.toggle("fa-toggle-on", !effect.disabled);
+      target.classList.toggle("fa-toggle-off", effect.disabled);
+      target.dataset.tooltip = effect.disabled ? "AURAEFFECTS.TokenHUD.Enable" : "AURAEFFECTS.TokenHUD.Disable";
+      target.closest("[data-uuid]").classList.toggle("disabled", effect.disabled);
+    } else {
+      await effect.update({ "system.showRadius": !effect.system.showRadius });
+      target.classList.toggle("fa-eye", effect.system.showRadius);
+      target.classList.toggle("fa-eye-slash", !effect.system.showRadius);
+      target.dataset.tooltip = effect.system.showRadius ? "AURAEFFECTS.TokenHUD.HideRadius" : "AURAEFFECTS.TokenHUD.ShowRadius";
+    }
+  });
+}
+
+/**
+ * Adds buttons to open the Aura Dashboard and to rebuild the scene's auras to the token controls, for GMs
+ * @param {Record<string, SceneControl>} controls   The scene controls being prepared
+ */
+function addSceneControls(controls) {
+  if (!game.user.isGM || !controls.tokens) return;
+  controls.tokens.tools.auraDashboard = {
+    name: "auraDashboard",
+    title: "AURAEFFECTS.Dashboard.Title",
+    icon: "fa-solid fa-person-rays",
+    order: Object.keys(controls.tokens.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => AuraDashboard.open()
+  };
+  controls.tokens.tools.rebuildAuras = {
+    name: "rebuildAuras",
+    title: "AURAEFFECTS.Rebuild.Title",
+    icon: "fa-solid fa-arrows-rotate",
+    order: Object.keys(controls.tokens.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => rebuildAuras(canvas.scene)
+  };
+}
+
 /**
  * Injects a button to transform the effect into an "Aura Active Effect" when the AE Config sheet is rendered
  * @param {ActiveEffectConfig} app  The Active Effect Config sheet being rendered
@@ -272,27 +571,49 @@ function registerHooks() {
   Hooks.on("createActiveEffect", addRemoveEffect);
   Hooks.on("deleteActiveEffect", addRemoveEffect);
   Hooks.on("updateActiveEffect", updateActiveEffect);
+  Hooks.on("applyActiveEffect", skipAuraModifier);
+  Hooks.on("createRegion", createRegion);
+  Hooks.on("preUpdateRegion", preUpdateRegion);
+  Hooks.on("updateRegion", updateRegion);
   Hooks.on("deleteRegion", deleteRegion);
+  Hooks.on("createTile", createDeleteTile);
+  Hooks.on("updateTile", updateTile);
+  Hooks.on("deleteTile", createDeleteTile);
   Hooks.on("updateActor", updateActor);
+  Hooks.on("createItem", addRemoveItem);
+  Hooks.on("updateItem", updateItem);
+  Hooks.on("deleteItem", addRemoveItem);
   Hooks.on("createCombatant", addRemoveCombatant);
   Hooks.on("deleteCombatant", addRemoveCombatant);
   Hooks.on("deleteCombat", deleteCombat);
   Hooks.on("updateCombat", updateCombat);
+  Hooks.on("updateWorldTime", updateWorldTime);
+  // The initial canvas is handled once ready, after any migrations have run
+  Hooks.on("canvasReady", () => game.ready && rebuildSceneAuras());
 
   // UI hooks
   Hooks.on("renderActiveEffectConfig", injectAuraButton);
+  Hooks.on("getSceneControlButtons", addSceneControls);
+  Hooks.on("renderTokenHUD", injectTokenHUDAuras);
+  Hooks.on("renderRegionConfig", injectStaticAuraSource);
+  Hooks.on("renderTileConfig", injectStaticAuraSource);
+  for (const hook of ["canvasReady", "createActiveEffect", "updateActiveEffect", "deleteActiveEffect", "createRegion", "updateRegion", "deleteRegion", "updateToken"]) {
+    Hooks.on(hook, () => AuraDashboard.renderIfOpen());
+  }
+  for (const hook of ["updateActiveEffect", "createRegion", "updateRegion", "deleteRegion", "updateToken", "activateRegionLayer", "deactivateRegionLayer"]) {
+    Hooks.on(hook, () => canvas.auraeffects?.refresh());
+  }
 
   // System-specific hooks
-  switch (game.system.id) {
-    case "dnd5e": 
-      registerDnd5eHooks();
-      break;
-  }
+  registerSystemHooks();
 }
 
 function registerQueries() {
   CONFIG.queries["auraeffects.deleteEffects"] = deleteEffects;
   CONFIG.queries["auraeffects.applyAuraEffects"] = applyAuraEffects;
+  CONFIG.queries["auraeffects.executeTriggers"] = executeTriggers;
+  CONFIG.queries["auraeffects.lingerEffects"] = lingerEffects;
+  CONFIG.queries["auraeffects.updateAuraRegions"] = updateAuraRegions;
   CONFIG.queries["auraeffects.updateRegionsForToken"] = updateRegionsForToken;
 }
 
@@ -324,9 +645,10 @@ Hooks.once("init", () => {
   registerQueries();
   registerAuraType();
   registerSettings();
+  CONFIG.Canvas.layers.auraeffects = { layerClass: AuraLayer, group: "interface" };
 });
 
-Hooks.once("ready", () => {
+Hooks.once("ready", async () => {
   registerAuraSheet();
   game.modules.get("auraeffects").api = api;
   if (game.user.isActiveGM) {
@@ -340,6 +662,7 @@ Hooks.once("ready", () => {
       });
       game.settings.set("auraeffects", "seenSystemWarning", true);
     }
-    migrate();
+    await migrate();
+    await rebuildSceneAuras();
   }
 });
\ No newline at end of file
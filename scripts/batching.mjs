@@ -0,0 +1,248 @@
+import { auraShouldApply, collectConditionalChanges, collectRecipientChanges, collectUpdatedRegionChanges, filterApplicableSources, findAppliedAura, getAllAuraEffects, getAppliedSourceKey, getAuraRegionChanges, getAuraRegions, getRegionSourceKey, isAppliedFromSource, lingerOrRemoveAuras, resolveAuraSource, runAuraTriggers, runQuery } from "./helpers.mjs";
+import { TRIGGER_EVENTS } from "./constants.mjs";
+
+/** @import { ActiveEffect, Scene, TokenDocument } from "@client/documents/_module.mjs" */
+
+/**
+ * How long to wait after the latest queued update before applying the updates queued for a scene, in milliseconds
+ * @type {number}
+ */
+const FLUSH_DELAY = 50;
+
+/**
+ * How often to check whether a token part-way through a movement has finished (or stopped) moving, in milliseconds
+ * @type {number}
+ */
+const MOVEMENT_POLL_DELAY = 250;
+
+/**
+ * @typedef {Object} QueuedAuraUpdate
+ * @property {TokenDocument} token              The token to update auras for
+ * @property {boolean} regions                  Whether the token's own aura regions should be created/updated
+ * @property {boolean} conditional              Whether the conditional auras the token is within should be re-checked
+ * @property {boolean} sources                  Whether the recipients of the token's own auras which depend on its
+ *                                              state should be re-checked
+ * @property {boolean} disposition              Whether the token's disposition has changed
+ * @property {string[]|null} priorRegionIds     The ids of the regions the token was within before it first moved,
+ *                                              if it has moved
+ * @property {Promise<void>} promise            Resolves once the update has been applied
+ * @property {Function} resolve
+ * @property {Function} reject
+ */
+
+/**
+ * @typedef {Object} AuraUpdateQueue
+ * @property {Map<string, QueuedAuraUpdate>} updates    Token id -> the updates queued for that token
+ * @property {number|null} timeout                      The pending flush, if one is scheduled
+ */
+
+/**
+ * Scene -> the aura updates queued on that scene
+ * @type {Map<Scene, AuraUpdateQueue>}
+ */
+const queues = new Map();
+
+// Flushes run one at a time, so that each sees the results of the last
+let flushChain = Promise.resolve();
+
+/**
+ * Queue aura updates for a token, to be applied together with any others on the same scene once its updates (and any
+ * movement in progress) have settled
+ * @param {TokenDocument} token                       The token to update auras for
+ * @param {Object} [options]
+ * @param {boolean} [options.regions=false]           Whether to create/update the token's own aura regions
+ * @param {boolean} [options.conditional=false]       Whether to re-check the conditional auras the token is within
+ * @param {boolean} [options.sources=false]           Whether to re-check the recipients of the token's own auras which
+ *                                                    depend on its state
+ * @param {boolean} [options.disposition=false]       Whether the token's disposition has changed
+ * @param {string[]} [options.priorRegionIds]         The ids of the regions the token was within before moving
+ * @returns {Promise<void>}                           Resolves once the update has been applied
+ */
+function queueAuraUpdate(token, { regions = false, conditional = false, sources = false, disposition = false, priorRegionIds = null } = {}) {
+  const scene = token.parent;
+  if (!scene) return Promise.resolve();
+  let queue = queues.get(scene);
+  if (!queue) {
+    queue = { updates: new Map(), timeout: null };
+    queues.set(scene, queue);
+  }
+  let update = queue.updates.get(token.id);
+  if (!update) {
+    const { promise, resolve, reject } = Promise.withResolvers();
+    update = { token, regions: false, conditional: false, sources: false, disposition: false, priorRegionIds: null, promise, resolve, reject };
+    queue.updates.set(token.id, update);
+  }
+  update.regions ||= regions;
+  update.conditional ||= conditional;
+  update.sources ||= sources;
+  update.disposition ||= disposition;
+  // Only the regions the token was within before its first queued move matter, so that passing through an aura
+  // part-way through a movement doesn't apply & remove it
+  update.priorRegionIds ??= priorRegionIds;
+  scheduleFlush(scene, FLUSH_DELAY);
+  return update.promise;
+}
+
+/**
+ * (Re-)schedule the flush of the updates queued on a scene
+ * @param {Scene} scene
+ * @param {number} delay    How long to wait, in milliseconds
+ */
+function scheduleFlush(scene, delay) {
+  const queue = queues.get(scene);
+  if (!queue) return;
+  clearTimeout(queue.timeout);
+  queue.timeout = setTimeout(() => flushAuraUpdates(scene, { settledOnly: true }), delay);
+}
+
+/**
+ * Whether a token is part-way through a multi-waypoint movement, and so will be updated again once it moves on
+ * @param {TokenDocument} token
+ * @returns {boolean}
+ */
+function isMoving(token) {
+  return token.movement?.state === "pending";
+}
+
+/**
+ * Immediately apply any aura updates queued on a scene
+ * @param {Scene} scene
+ * @param {Object} [options]
+ * @param {boolean} [options.settledOnly=false]   Leave the updates of tokens which are still moving queued, checking
+ *                                                again shortly in case their movement ends without a further update
+ *                                                (e.g. by being stopped)
+ * @returns {Promise<void>}   Resolves once the updates have been applied
+ */
+function flushAuraUpdates(scene, { settledOnly = false } = {}) {
+  const queue = queues.get(scene);
+  if (!queue) return flushChain;
+  clearTimeout(queue.timeout);
+  queue.timeout = null;
+  let updates = Array.from(queue.updates.values());
+  if (settledOnly) updates = updates.filter(u => !isMoving(u.token));
+  for (const update of updates) queue.updates.delete(update.token.id);
+  if (queue.updates.size) scheduleFlush(scene, MOVEMENT_POLL_DELAY);
+  else queues.delete(scene);
+  if (!updates.length) return flushChain;
+  const flush = flushChain.then(() => applyQueuedUpdates(scene, updates));
+  flushChain = flush.catch(() => {});
+  flush.then(() => updates.forEach(u => u.resolve()), error => updates.forEach(u => u.reject(error)));
+  return flush;
+}
+
+/**
+ * Apply queued aura updates for a scene as a single diff: one query for every token's regions, followed by one to
+ * remove auras and one to apply them, and one for each triggering event
+ * @param {Scene} scene
+ * @param {QueuedAuraUpdate[]} updates
+ */
+async function applyQueuedUpdates(scene, updates) {
+  updates = updates.filter(u => u.token.actor && scene.tokens.has(u.token.id));
+
+  // Regions of every token, including re-orienting directional auras and moving vertically-bounded ones
+  const regionChanges = updates.filter(u => u.regions).map(u => [u.token, getAuraRegionChanges(u.token)]);
+  const hasRegionChanges = regionChanges.some(([, c]) => c.toCreate.length || c.toUpdate.length || c.toDelete.length);
+  if (hasRegionChanges) await runQuery("auraeffects.updateAuraRegions", { changes: regionChanges.map(([, c]) => c) }, { scene });
+
+  const toRemove = [];
+  const toLeave = [];
+  const toAdd = {};
+  const entered = [];
+  const exited = [];
+  for (const [token, changes] of regionChanges) await collectUpdatedRegionChanges(token, changes, toRemove, toAdd);
+  for (const update of updates) {
+    const { token } = update;
+    // Also re-checks spherical auras which the token is within, in case its elevation has changed
+    if (update.conditional) await collectConditionalChanges(token, toRemove, toAdd);
+    // Updating the token's regions already re-checks every recipient of its auras
+    if (update.sources && !update.regions) await collectSourceChanges(token, toRemove, toAdd);
+    if (update.disposition) await collectDispositionChanges(token, toRemove, toAdd);
+    if (update.priorRegionIds) {
+      const movement = await collectMovementChanges(token, update.priorRegionIds, toLeave, toAdd);
+      entered.push(...movement.entered);
+      exited.push(...movement.exited);
+    }
+  }
+  await lingerOrRemoveAuras(toLeave, scene, { toRemove, toAdd });
+
+  // Enter & exit triggers
+  await runAuraTriggers(TRIGGER_EVENTS.EXIT, exited);
+  await runAuraTriggers(TRIGGER_EVENTS.ENTER, entered);
+}
+
+/**
+ * After a token's disposition has changed, check whether each aura it is within should now be applied or removed
+ * @param {TokenDocument} token
+ * @param {ActiveEffect[]} toRemove                 Applied effects to remove, added to in place
+ * @param {Record<string, string[]>} toAdd          Actor uuid -> aura source keys to apply, added to in place
+ */
+async function collectDispositionChanges(token, toRemove, toAdd) {
+  for (const key of new Set(getAuraRegions(token).map(getRegionSourceKey))) {
+    const { effect, sourceToken } = resolveAuraSource(key);
+    if (!effect) continue;
+    if (await auraShouldApply(effect, token, sourceToken)) {
+      toAdd[token.actor.uuid] ??= [];
+      toAdd[token.actor.uuid].push(key);
+    } else {
+      const appliedAura = findAppliedAura(token.actor, key);
+      if (appliedAura) toRemove.push(appliedAura);
+    }
+  }
+}
+
+/**
+ * After a change to a token's state (e.g. its roll data), re-check every recipient of its auras which depend on it
+ * @param {TokenDocument} token
+ * @param {ActiveEffect[]} toRemove                 Applied effects to remove, added to in place
+ * @param {Record<string, string[]>} toAdd          Actor uuid -> aura source keys to apply, added to in place
+ */
+async function collectSourceChanges(token, toRemove, toAdd) {
+  for (const effect of getAllAuraEffects(token.actor)[0]) {
+    const { source, values } = effect.system.dependencies;
+    if (source || values) await collectRecipientChanges(effect, token.parent, toRemove, toAdd, token);
+  }
+}
+
+/**
+ * After a token has moved, collect the auras it has left entirely, along with those it has entered or whose band it
+ * has moved between
+ * @param {TokenDocument} token
+ * @param {string[]} priorRegionIds                 The ids of the regions the token was within before moving
+ * @param {ActiveEffect[]} toLeave                  Applied effects whose auras were left, added to in place
+ * @param {Record<string, string[]>} toAdd          Actor uuid -> aura source keys to apply, added to in place
+ * @returns {Promise<{entered: [ActiveEffect, TokenDocument, TokenDocument?][], exited: [ActiveEffect, TokenDocument, TokenDocument?][]}>}
+ *                                                  The newly-entered & entirely-left source aura effects, each paired
+ *                                                  with the token & the token emitting them
+ */
+async function collectMovementChanges(token, priorRegionIds, toLeave, toAdd) {
+  const scene = token.parent;
+  const currentRegions = getAuraRegions(token);
+  const oldRegions = priorRegionIds.map(i => scene.regions.get(i)).filter(r => r?.getFlag("auraeffects", "origin") && !token.regions.has(r));
+  const newRegions = currentRegions.filter(r => !priorRegionIds.includes(r.id));
+  // An aura is only left once the token is outside of all of its bands
+  const currentKeys = new Set(currentRegions.map(getRegionSourceKey));
+  const priorKeys = new Set(priorRegionIds.map(i => scene.regions.get(i)).filter(r => r?.getFlag("auraeffects", "origin")).map(getRegionSourceKey));
+  const keysToRemove = new Set(oldRegions.map(getRegionSourceKey).filter(k => !currentKeys.has(k)));
+  const leaving = token.actor.effects.contents.filter(e => Array.from(keysToRemove).some(k => isAppliedFromSource(e, k)));
+  toLeave.push(...leaving);
+  // Newly-entered auras, as well as auras whose band the token may have moved between
+  const changedKeys = new Set(newRegions.concat(oldRegions).map(getRegionSourceKey).filter(k => currentKeys.has(k)));
+  const toApply = await filterApplicableSources(Array.from(changedKeys), token);
+  if (toApply.length) {
+    toAdd[token.actor.uuid] ??= [];
+    toAdd[token.actor.uuid].push(...toApply);
+  }
+  const toPair = (key) => {
+    const { effect, sourceToken } = resolveAuraSource(key);
+    return [effect, token, sourceToken];
+  };
+  return {
+    entered: toApply.filter(k => !priorKeys.has(k)).map(toPair),
+    exited: leaving.map(e => toPair(getAppliedSourceKey(e)))
+  };
+}
+
+export {
+  flushAuraUpdates,
+  queueAuraUpdate
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+import { CHAT_LOG_MODES } from "./constants.mjs";
+
+/** @import { ActiveEffect, Actor, TokenDocument } from "@client/documents/_module.mjs" */
+
+/**
+ * How long to wait after the latest logged change before posting, so that the removals & applications of a single
+ * update share one message, in milliseconds
+ * @type {number}
+ */
+const LOG_DELAY = 100;
+
+/**
+ * @typedef {Object} AuraChange
+ * @property {Actor} actor                      The recipient actor
+ * @property {ActiveEffect} effect              The applied effect which was gained or lost
+ * @property {ActiveEffect|null} sourceEffect   The source aura effect, if it still exists
+ * @property {TokenDocument} [sourceToken]      The token emitting the aura, if any
+ * @property {string} key                       The aura source key
+ * @property {boolean} gained                   Whether the aura was gained, rather than lost
+ */
+
+/**
+ * @typedef {Object} LoggedAuraChange
+ * @property {string} actorUuid
+ * @property {string} recipient     The name of the recipient token (or actor)
+ * @property {string} name          The name of the applied effect
+ * @property {string} [source]      The name of the source token (or effect)
+ * @property {string} key
+ * @property {boolean} gained
+ */
+
+/**
+ * Chat log mode -> changes awaiting posting
+ * @type {Map<string, LoggedAuraChange[]>}
+ */
+const pending = new Map();
+
+let timeout = null;
+
+/**
+ * Record aura gains & losses to be posted to chat, according to the chat log mode of each source aura; changes logged
+ * in quick succession are posted together
+ * @param {AuraChange[]} changes
+ */
+function logAuraChanges(changes) {
+  for (const { actor, effect, sourceEffect, sourceToken, key, gained } of changes) {
+    const mode = sourceEffect?.system.chatLog || game.settings.get("auraeffects", "chatLog");
+    if (![CHAT_LOG_MODES.GM, CHAT_LOG_MODES.PUBLIC].includes(mode)) continue;
+    const [recipientToken] = actor.getActiveTokens(false, true);
+    // Public logs don't give away hidden tokens
+    if ((mode === CHAT_LOG_MODES.PUBLIC) && (recipientToken?.hidden || sourceToken?.hidden)) continue;
+    if (!pending.has(mode)) pending.set(mode, []);
+    const entries = pending.get(mode);
+    // Losing & regaining the same aura (or vice versa) in one update isn't a change at all
+    const opposite = entries.findIndex(c => (c.actorUuid === actor.uuid) && (c.key === key) && (c.gained !== gained));
+    if (opposite !== -1) {
+      entries.splice(opposite, 1);
+      continue;
+    }
+    entries.push({
+      actorUuid: actor.uuid,
+      recipient: recipientToken?.name ?? actor.name,
+      name: effect.name,
+      source: sourceToken?.name ?? sourceEffect?.parent?.name ?? sourceEffect?.name,
+      key,
+      gained
+    });
+  }
+  if (!pending.size) return;
+  clearTimeout(timeout);
+  timeout = setTimeout(postAuraChanges, LOG_DELAY);
+}
+
+/**
+ * Post a compact chat card for each chat log mode with pending changes, listing the auras each recipient gained & lost
+ */
+async function postAuraChanges() {
+  timeout = null;
+  const batches = Array.from(pending.entries());
+  pending.clear();
+  const messages = [];
+  for (const [mode, changes] of batches) {
+    if (!changes.length) continue;
+    const recipients = new Map();
+    for (const change of changes) {
+      if (!recipients.has(change.actorUuid)) recipients.set(change.actorUuid, { name: change.recipient, gained: [], lost: [] });
+      recipients.get(change.actorUuid)[change.gained ? "gained" : "lost"].push(change);
+    }
+    const content = await foundry.applications.handlebars.renderTemplate("modules/auraeffects/templates/auraChatLog.hbs", {
+      recipients: Array.from(recipients.values())
+    });
+    messages.push({
+      speaker: {
+        alias: _loc("AURAEFFECTS.ChatLog.Speaker")
+      },
+      whisper: (mode === CHAT_LOG_MODES.GM) ? game.users.filter(u => u.isGM) : [],
+      content
+    });
+  }
+  if (messages.length) await ChatMessage.implementation.createDocuments(messages);
+}
+
+export {
+  logAuraChanges
+};
\ No newline at end of file
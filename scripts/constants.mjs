@@ -2,4 +2,120 @@ export const DISPOSITIONS = {
   HOSTILE: -1,
   ANY: 0,
   FRIENDLY: 1
-};
\ No newline at end of file
+};
+
+export const AURA_SHAPES = {
+  EMANATION: "emanation",
+  CONE: "cone",
+  LINE: "line",
+  RECTANGLE: "rectangle"
+};
+
+export const VERTICAL_SHAPES = {
+  NONE: "",
+  SPHERE: "sphere",
+  CYLINDER: "cylinder"
+};
+
+export const TRIGGER_EVENTS = {
+  ENTER: "enter",
+  EXIT: "exit",
+  TURN_START: "turnStart",
+  TURN_END: "turnEnd"
+};
+
+export const TRIGGER_ACTIONS = {
+  MACRO: "macro",
+  ROLL: "roll",
+  EFFECT: "effect"
+};
+
+export const TRIGGER_FREQUENCIES = {
+  ALWAYS: "always",
+  TURN: "turn",
+  ROUND: "round"
+};
+
+export const LINGER_UNITS = {
+  ROUNDS: "rounds",
+  TURNS: "turns",
+  SECONDS: "seconds"
+};
+
+export const RELATIONSHIPS = {
+  ALLY: "ally",
+  ENEMY: "enemy",
+  NEUTRAL: "neutral",
+  SECRET: "secret",
+  SELF: "self"
+};
+
+export const SCRIPT_MODES = {
+  EXPRESSION: "expression",
+  FUNCTION: "function"
+};
+
+export const APPLICATION_FAILURES = {
+  RANGE: "range",
+  WALLS: "walls",
+  NO_SOURCE: "noSource",
+  ELEVATION: "elevation",
+  RELATIONSHIP: "relationship",
+  TARGET_LIST: "targetList",
+  FILTERS: "filters",
+  SCRIPT: "script",
+  SCRIPT_ERROR: "scriptError",
+  OUTCLASSED: "outclassed"
+};
+
+export const TIE_BREAKERS = {
+  OLDEST: "oldest",
+  CLOSEST: "closest",
+  SORT: "sort"
+};
+
+export const TARGET_LIST_MODES = {
+  NONE: "",
+  INCLUDE: "include",
+  EXCLUDE: "exclude"
+};
+
+export const CHAT_LOG_MODES = {
+  DEFAULT: "",
+  NONE: "none",
+  GM: "gm",
+  PUBLIC: "public"
+};
+
+export const AURA_AUDIENCES = {
+  EVERYONE: "everyone",
+  ALLIES: "allies",
+  OWNERS: "owners"
+};
+
+export const HIGHLIGHT_MODES = {
+  DEFAULT: "",
+  SHAPES: "shapes",
+  COVERAGE: "coverage"
+};
+
+export const FILTER_TYPES = {
+  STATUS: "status",
+  ACTOR_TYPE: "actorType",
+  HP_BELOW: "hpBelow",
+  SOURCE_IN_COMBAT: "sourceInCombat",
+  TARGET_IN_COMBAT: "targetInCombat",
+  NAME: "name",
+  CREATURE_TYPE: "creatureType"
+};
+
+export const FILTER_MODES = {
+  ALL: "all",
+  ANY: "any"
+};
+
+export const AURA_MODIFIERS = {
+  RADIUS: "radius",
+  APPLIES_TO: "appliesTo",
+  SUPPRESS: "suppress"
+};
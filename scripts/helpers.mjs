@@ -1,25 +1,50 @@
-/** @import { ActiveEffect, Actor, Scene, TokenDocument } from "@client/documents/_module.mjs" */
-/** @import { RegionData } from "@common/documents/_types.mjs" */
+import { APPLICATION_FAILURES, AURA_MODIFIERS, AURA_SHAPES, FILTER_MODES, FILTER_TYPES, RELATIONSHIPS, SCRIPT_MODES, TARGET_LIST_MODES, TIE_BREAKERS, VERTICAL_SHAPES } from "./constants.mjs";
+import { getAlignment, getAuraRollData, getCreatureTypes, getHitPoints } from "./systems/adapters.mjs";
+
+/** @import { ActiveEffect, Actor, RegionDocument, Scene, TileDocument, TokenDocument } from "@client/documents/_module.mjs" */
+/** @import { RegionData, RegionShapeData } from "@common/documents/_types.mjs" */
 
 /**
  * Execute the script on an aura active effect for a given token, returning whether said token should receive
- * the effect or not
- * @param {TokenDocument} sourceToken   The aura-emanating token
+ * the effect or not. "Expression" scripts are a single expression, while "function" scripts are the (possibly
+ * asynchronous) body of a function whose return value is used
+ * @param {TokenDocument|undefined} sourceToken   The aura-emanating token (if not a static aura)
  * @param {TokenDocument} token         The potential aura effect recipient token
  * @param {ActiveEffect} effect         The aura effect in question
- * @returns {boolean}                   true if effect should be applied, false if not
+ * @param {Object} [options]
+ * @param {boolean} [options.throwErrors=false]   Throw any error raised by the script, rather than logging it
+ *                                                and treating the script as passed
+ * @returns {Promise<boolean>}          true if effect should be applied, false if not
  */
-function executeScript(sourceToken, token, effect) {
-  const actor = token.actor;
-  const rollData = actor.getRollData();
+async function executeScript(sourceToken, token, effect, { throwErrors = false } = {}) {
   const script = effect.system.script ?? "";
   if (!script?.trim()?.length) return true;
-  const toEvaluate = Function("actor", "token", "sourceToken", "rollData", `return Boolean(${script});`);
+  const context = {
+    actor: token.actor,
+    token: token.object,
+    sourceToken: sourceToken?.object ?? null,
+    rollData: getAuraRollData(token.actor),
+    sourceEffect: effect,
+    sourceActor: sourceToken?.actor ?? effect.actor ?? null,
+    sourceRollData: getAuraRollData(sourceToken?.actor ?? effect.parent),
+    scene: token.parent,
+    combat: game.combats.find(c => c.active && (c.scene === token.parent)) ?? null,
+    distance: sourceToken ? measureTokenDistance(sourceToken, token).horizontal : null,
+    creatureTypes: getCreatureTypes(token.actor),
+    alignment: getAlignment(token.actor)
+  };
   try {
-    return toEvaluate.call(toEvaluate, actor, token.object, sourceToken.object, rollData);
+    if (effect.system.scriptMode === SCRIPT_MODES.FUNCTION) {
+      const AsyncFunction = (async function() {}).constructor;
+      const toEvaluate = new AsyncFunction(...Object.keys(context), script);
+      return Boolean(await toEvaluate.call(toEvaluate, ...Object.values(context)));
+    }
+    const toEvaluate = Function(...Object.keys(context), `return Boolean(${script});`);
+    return toEvaluate.call(toEvaluate, ...Object.values(context));
   } catch (error) {
+    if (throwErrors) throw error;
     console.error(_loc("AURAEFFECTS.Errors.ScriptError", {
-      actor: sourceToken.actor.name,
+      actor: (sourceToken?.actor ?? effect.parent)?.name,
       effect: effect.name,
       error
     }));
@@ -27,6 +52,23 @@ function executeScript(sourceToken, token, effect) {
   }
 }
 
+/**
+ * Check a conditional script for syntax errors, without running it
+ * @param {string} script   The script to check
+ * @param {string} mode     How the script is to be run (see SCRIPT_MODES)
+ * @returns {string|null}   The syntax error's message, or null if there is none
+ */
+function getScriptSyntaxError(script, mode) {
+  if (!script?.trim().length) return null;
+  try {
+    if (mode === SCRIPT_MODES.FUNCTION) new (async function() {}).constructor(script);
+    else Function(`return Boolean(${script});`);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
 /**
  * Get all "source" aura effects on a given actor, split into inactive & active
  * @param {Actor} actor                         The actor to check
@@ -44,6 +86,230 @@ function getAllAuraEffects(actor) {
   return [activeAuras, inactiveAuras];
 }
 
+/**
+ * Get the UUID of the source aura effect which an applied aura effect came from
+ * @param {ActiveEffect} effect   The applied effect
+ * @returns {string|undefined}
+ */
+function getAuraSourceUuid(effect) {
+  const fromAura = effect.getFlag("auraeffects", "fromAura");
+  // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
+  return (fromAura === true) ? effect.origin : fromAura;
+}
+
+/**
+ * Get a key identifying a single source of an aura: its source effect, along with the token emitting it, as each
+ * token of a linked actor emits its own copy of the actor's auras. Static auras have no source token
+ * @param {string} effectUuid                 The uuid of the source aura effect
+ * @param {string|null} [tokenUuid=null]      The uuid of the token emitting the aura, if any
+ * @returns {string}
+ */
+function getAuraSourceKey(effectUuid, tokenUuid = null) {
+  return tokenUuid ? `${effectUuid}|${tokenUuid}` : effectUuid;
+}
+
+/**
+ * Split an aura source key into the uuids of its source effect & token
+ * @param {string} key
+ * @returns {{effectUuid: string, tokenUuid: string|null}}
+ */
+function parseAuraSourceKey(key) {
+  const [effectUuid, tokenUuid = null] = key.split("|");
+  return { effectUuid, tokenUuid };
+}
+
+/**
+ * Get the key of the aura source a region belongs to
+ * @param {RegionDocument} region
+ * @returns {string}
+ */
+function getRegionSourceKey(region) {
+  return getAuraSourceKey(region.getFlag("auraeffects", "origin"), region.attachment?.token?.uuid);
+}
+
+/**
+ * Get the key of the aura source an applied aura effect came from
+ * @param {ActiveEffect} effect   The applied effect
+ * @returns {string}
+ */
+function getAppliedSourceKey(effect) {
+  return getAuraSourceKey(getAuraSourceUuid(effect), effect.getFlag("auraeffects", "sourceToken"));
+}
+
+/**
+ * Whether an applied effect came from the given aura source. Effects applied before source tokens were recorded
+ * match any token emitting the same source effect
+ * @param {ActiveEffect} effect   The applied effect
+ * @param {string} key            The aura source key
+ * @returns {boolean}
+ */
+function isAppliedFromSource(effect, key) {
+  const { effectUuid, tokenUuid } = parseAuraSourceKey(key);
+  // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
+  const fromAura = effect.getFlag("auraeffects", "fromAura");
+  if (!fromAura || ![fromAura, effect.origin].includes(effectUuid)) return false;
+  const sourceToken = effect.getFlag("auraeffects", "sourceToken");
+  return !sourceToken || !tokenUuid || (sourceToken === tokenUuid);
+}
+
+/**
+ * Find the effect an actor has received from the given aura source, if any
+ * @param {Actor} actor
+ * @param {string} key            The aura source key
+ * @returns {ActiveEffect|undefined}
+ */
+function findAppliedAura(actor, key) {
+  return actor?.effects.find(e => isAppliedFromSource(e, key));
+}
+
+/**
+ * Get the key of the stacking group an applied aura effect belongs to
+ * @param {ActiveEffect} effect   The applied effect
+ * @returns {string}
+ */
+function getAppliedStackKey(effect) {
+  // Effects applied before stacking groups existed were grouped by name
+  return effect.getFlag("auraeffects", "stackGroup") ?? effect.name;
+}
+
+/**
+ * Get the "best" value of an aura for a given recipient, evaluating its "best" formula with the source's roll data
+ * (and the recipient's roll data as `@target`)
+ * @param {ActiveEffect} effect       The source aura effect
+ * @param {Actor} [actor]             The recipient actor
+ * @param {number|null} [band=null]   The index of the band the recipient is within, or null for the aura's base band
+ * @returns {number}
+ */
+function getAuraBestValue(effect, actor, band = null) {
+  const rollData = { ...getAuraRollData(effect.parent), target: getAuraRollData(actor) };
+  const bestValue = new Roll(effect.system.bestFormula.trim() || "0", rollData).evaluateSync().total;
+  const multiplier = (band === null) ? 1 : (effect.system.bands[band]?.multiplier ?? 1);
+  return bestValue * multiplier;
+}
+
+/**
+ * Get the data for the effect a source aura effect should apply, evaluating changes as configured and accounting for
+ * the band of the aura the recipient is within
+ * @param {ActiveEffect} effect   The source aura effect
+ * @param {number|null} band      The index of the band the recipient is within, or null for the aura's base band
+ * @param {Actor} actor           The recipient actor
+ * @param {TokenDocument} [sourceToken]   The token emitting the aura, if any
+ * @returns {Object}              The effect data to apply
+ */
+function getAppliedEffectData(effect, band, actor, sourceToken) {
+  const rollData = getAuraRollData(effect.parent);
+  const effectData = foundry.utils.mergeObject(effect.toObject(), {
+    name: effect.system.overrideName?.trim() || effect.name,
+    origin: effect.uuid,
+    type: effect.getFlag("auraeffects", "originalType") ?? "base",
+    transfer: false,
+    "flags.auraeffects.fromAura": effect.uuid,
+    "flags.auraeffects.sourceToken": sourceToken?.uuid ?? null,
+    "flags.auraeffects.band": band
+  });
+  const bandData = (band === null) ? null : effect.system.bands[band];
+  const multiplier = bandData?.multiplier ?? 1;
+  if (Number.isFinite(effect.system.maxStacks)) {
+    foundry.utils.setProperty(effectData, "flags.auraeffects.bestValue", getAuraBestValue(effect, actor, band));
+    foundry.utils.setProperty(effectData, "flags.auraeffects.stackGroup", effect.system.stackKey);
+  }
+  const changes = effectData.system.changes ?? effectData.changes;
+  // A band with its own changes replaces those of the aura entirely
+  if (bandData?.changes.length) changes.splice(0, changes.length, ...foundry.utils.deepClone(bandData.changes));
+  if (game.modules.get("dae")?.active) {
+    for (const change of changes) {
+      if (typeof change.value !== "string") continue;
+      change.value = Roll.replaceFormulaData(change.value, rollData);
+      change.value = change.value.replaceAll("##", "@");
+    }
+  } else if (effect.system.evaluatePreApply) {
+    for (const change of changes) {
+      if (typeof change.value !== "string") continue;
+      change.value = Roll.replaceFormulaData(change.value, rollData);
+    }
+  }
+  if (multiplier !== 1) {
+    for (const change of changes) {
+      const value = Number(change.value);
+      if ((change.value === "") || !Number.isFinite(value)) continue;
+      change.value = (typeof change.value === "string") ? String(value * multiplier) : value * multiplier;
+    }
+  }
+  return effectData;
+}
+
+/**
+ * Whether an applied aura's changes or "best" value differ from those it would now be applied with, e.g. because the
+ * source's roll data has changed since its changes were evaluated
+ * @param {ActiveEffect} appliedEffect    The applied aura effect
+ * @param {Object} effectData             The data the aura would now be applied with (see getAppliedEffectData)
+ * @returns {boolean}
+ */
+function hasOutdatedValues(appliedEffect, effectData) {
+  const changesPath = effectData.system?.changes ? "system.changes" : "changes";
+  const changes = foundry.utils.getProperty(appliedEffect.toObject(), changesPath) ?? [];
+  if (!foundry.utils.objectsEqual(changes, foundry.utils.getProperty(effectData, changesPath) ?? [])) return true;
+  return appliedEffect.getFlag("auraeffects", "bestValue") !== effectData.flags.auraeffects.bestValue;
+}
+
+/**
+ * @typedef {Object} AuraCompetitor
+ * @property {string} uuid            The uuid of the source aura effect
+ * @property {string} [key]           The key of the aura source, if it is emitted by a specific token
+ * @property {number} bestValue       The aura's "best" value for the recipient
+ * @property {boolean} [lingering]    Whether the aura is applied, but lingering
+ * @property {boolean} [applied]      Whether the aura is already applied to the recipient
+ */
+
+/**
+ * Compare two auras of the same stacking group competing over a recipient token: first by "best" value, then (unless
+ * either is already applied, in which case they are equal) by the world's tie-breaker, and finally by source effect
+ * uuid, so that the same two auras always compare the same way
+ * @param {AuraCompetitor} a
+ * @param {AuraCompetitor} b
+ * @param {TokenDocument} [token]   The recipient token
+ * @returns {number}                Positive if a should win over b, negative if b should win over a
+ */
+function compareAuras(a, b, token) {
+  const diff = (a.bestValue ?? 0) - (b.bestValue ?? 0);
+  if (diff) return diff;
+  // Ties against a lingering effect always go to the aura actually being applied
+  if (!!a.lingering !== !!b.lingering) return a.lingering ? -1 : 1;
+  // Equal auras never replace one which is already applied, so that re-evaluating (e.g. as tokens move) can't swap back
+  // and forth between them; the tie-breaker only chooses between those which aren't applied yet
+  if (a.applied || b.applied) return 0;
+  const findSourceToken = (competitor) => {
+    const { effectUuid, tokenUuid } = parseAuraSourceKey(competitor.key ?? competitor.uuid);
+    if (tokenUuid) return fromUuidSync(tokenUuid) ?? undefined;
+    const effect = fromUuidSync(effectUuid);
+    return (effect && token?.parent) ? getSourceToken(effect, token.parent) : undefined;
+  };
+  switch (game.settings.get("auraeffects", "tieBreaker")) {
+    // Applied auras are already kept in place above
+    case TIE_BREAKERS.OLDEST:
+      break;
+    case TIE_BREAKERS.CLOSEST: {
+      // Static auras have no source token, and so are as close as can be
+      const getDistance = (competitor) => {
+        const sourceToken = findSourceToken(competitor);
+        return sourceToken ? measureTokenDistance(sourceToken, token).horizontal : 0;
+      };
+      const distance = getDistance(b) - getDistance(a);
+      if (distance) return distance;
+      break;
+    }
+    case TIE_BREAKERS.SORT: {
+      const sort = (findSourceToken(a)?.sort ?? 0) - (findSourceToken(b)?.sort ?? 0);
+      if (sort) return sort;
+      break;
+    }
+  }
+  const aKey = a.key ?? a.uuid;
+  const bKey = b.key ?? b.uuid;
+  if (aKey === bKey) return 0;
+  return (aKey < bKey) ? 1 : -1;
+}
+
 /**
  * Get all aura-providing regions that a token is currently within
  * @param {TokenDocument} token
@@ -54,81 +320,597 @@ function getAuraRegions(token) {
 }
 
 /**
- * Returns whether the provided aura effect should apply to the provided token
+ * Whether a region is a "static" aura region, i.e. one placed on the scene (or generated for a tile) rather than
+ * attached to the token emanating the aura
+ * @param {RegionDocument} region
+ * @returns {boolean}
+ */
+function isStaticAuraRegion(region) {
+  return !!region.getFlag("auraeffects", "origin") && !region.attachment?.token;
+}
+
+/**
+ * Get every aura effect emanating from a static region (or tile) on a scene
+ * @param {Scene} scene
+ * @returns {ActiveEffect[]}
+ */
+function getStaticAuraEffects(scene) {
+  const effects = new Set();
+  for (const region of scene.regions) {
+    if (!isStaticAuraRegion(region)) continue;
+    const effect = fromUuidSync(region.getFlag("auraeffects", "origin"));
+    if ((effect?.type === "auraeffects.aura") && !effect.disabled && !effect.isSuppressed) effects.add(effect);
+  }
+  return Array.from(effects);
+}
+
+/**
+ * Get which band of an aura a token is within, which is always the smallest band containing it
+ * @param {ActiveEffect} effect                 The source aura effect
+ * @param {TokenDocument} token                 The token to check
+ * @param {TokenDocument} [sourceToken]         The token emitting the aura, if only its regions should be checked
+ * @returns {number|null}                       The index of the band, or null for the aura's own (base) band
+ */
+function getAuraBand(effect, token, sourceToken) {
+  const bands = getAuraRegions(token)
+    .filter(r => (r.getFlag("auraeffects", "origin") === effect.uuid) && (!sourceToken || (r.attachment?.token === sourceToken)))
+    .map(r => r.getFlag("auraeffects", "band") ?? null);
+  if (!bands.length) return null;
+  return bands.reduce((best, band) => (effect.system.getBandDistance(band) < effect.system.getBandDistance(best)) ? band : best);
+}
+
+/**
+ * Get the token on a given scene from which an aura effect is emanating
+ * @param {ActiveEffect} effect   The aura effect
+ * @param {Scene} scene           The scene to search
+ * @returns {TokenDocument|undefined}   The source token, or undefined for an actorless (i.e. static) aura
+ */
+function getSourceToken(effect, scene) {
+  if (!effect.actor) return;
+  return scene.tokens.find(t => t.actor === effect.actor);
+}
+
+/**
+ * Get the relationship of a token to an aura's source token. Neutral and secret tokens are always "neutral" and
+ * "secret" respectively, while other tokens are allies or enemies of a source with a friendly or hostile disposition
+ * (and "neutral" to a source without one). Static auras have no source token, and treat friendly tokens as allies
+ * and hostile tokens as enemies
+ * @param {TokenDocument|undefined} sourceToken   The aura-emanating token, if any
+ * @param {TokenDocument} token                   The potential aura effect recipient token
+ * @returns {string}                              The relationship (see RELATIONSHIPS)
+ */
+function getRelationship(sourceToken, token) {
+  const { FRIENDLY, NEUTRAL, SECRET } = CONST.TOKEN_DISPOSITIONS;
+  if (sourceToken?.actor === token.actor) return RELATIONSHIPS.SELF;
+  if (token.disposition === SECRET) return RELATIONSHIPS.SECRET;
+  if (token.disposition === NEUTRAL) return RELATIONSHIPS.NEUTRAL;
+  const disposition = token.disposition * (sourceToken?.disposition ?? FRIENDLY);
+  if (disposition === 1) return RELATIONSHIPS.ALLY;
+  if (disposition === -1) return RELATIONSHIPS.ENEMY;
+  return RELATIONSHIPS.NEUTRAL;
+}
+
+/**
+ * Whether a token passes an aura's include/exclude list, which may contain actor or token names, IDs, or UUIDs
+ * @param {ActiveEffect} effect     The aura effect in question
+ * @param {TokenDocument} token     The potential aura effect recipient token
+ * @returns {boolean}
+ */
+function passesTargetList(effect, token) {
+  const { targetList, targetListMode } = effect.system;
+  if ((targetListMode === TARGET_LIST_MODES.NONE) || !targetList.size) return true;
+  const identifiers = [token.name, token.id, token.uuid, token.actor.name, token.actor.id, token.actor.uuid]
+    .filter(Boolean)
+    .map(i => i.toLowerCase());
+  const listed = Array.from(targetList).some(entry => identifiers.includes(entry.trim().toLowerCase()));
+  return (targetListMode === TARGET_LIST_MODES.INCLUDE) ? listed : !listed;
+}
+
+/**
+ * Get the changes of an effect, wherever the effect's type keeps them
+ * @param {ActiveEffect} effect
+ * @returns {{key: string, value: string, mode: number, priority: number|null}[]}
+ */
+function getEffectChanges(effect) {
+  return effect.system?.changes ?? effect.changes ?? [];
+}
+
+/**
+ * Whether a change key is one with which effects modify their actor's auras (see AURA_MODIFIERS), e.g.
+ * `auraeffects.radius` or `auraeffects.radius.Aura of Protection`
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isAuraModifierKey(key) {
+  return Object.values(AURA_MODIFIERS).some(p => (key === `auraeffects.${p}`) || !!key?.startsWith(`auraeffects.${p}.`));
+}
+
+/**
+ * Whether any of an effect's changes modify auras
+ * @param {ActiveEffect} effect
+ * @returns {boolean}
+ */
+function modifiesAuras(effect) {
+  return getEffectChanges(effect).some(c => isAuraModifierKey(c.key));
+}
+
+/**
+ * Get the changes of ordinary effects on an aura's actor which modify one of its properties, either for all of the
+ * actor's auras (e.g. `auraeffects.radius`), or only for those with a given name or stacking group (e.g.
+ * `auraeffects.radius.Aura of Protection`), sorted by priority
+ * @param {ActiveEffect} effect     The source aura effect
+ * @param {string} property         The property being modified (see AURA_MODIFIERS)
+ * @returns {{key: string, value: string, mode: number, priority: number}[]}
+ */
+function getAuraModifiers(effect, property) {
+  const actor = effect.actor;
+  if (!actor) return [];
+  const names = [effect.name, effect.system.overrideName, effect.system.stackKey]
+    .filter(n => n?.trim())
+    .map(n => n.trim().toLowerCase());
+  const prefix = `auraeffects.${property}`;
+  const modifiers = [];
+  for (const modifier of actor.allApplicableEffects()) {
+    // Auras' changes are for their recipients, and checking whether one is active would recurse
+    if ((modifier.type === "auraeffects.aura") || modifier.disabled || modifier.isSuppressed) continue;
+    for (const { key, value, mode, priority } of getEffectChanges(modifier)) {
+      if ((key !== prefix) && !key?.startsWith(`${prefix}.`)) continue;
+      const target = key.slice(prefix.length + 1).trim().toLowerCase();
+      if (target && !names.includes(target)) continue;
+      modifiers.push({ key, value, mode, priority: priority ?? (mode * 10) });
+    }
+  }
+  return modifiers.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Apply any modifiers to an aura's radius from effects on its actor
+ * @param {ActiveEffect} effect     The source aura effect
+ * @param {number} radius           The radius of the aura (or one of its bands) before modification
+ * @returns {number}
+ */
+function applyRadiusModifiers(effect, radius) {
+  const modifiers = getAuraModifiers(effect, AURA_MODIFIERS.RADIUS);
+  if (!modifiers.length) return radius;
+  const rollData = getAuraRollData(effect.actor);
+  const { ADD, DOWNGRADE, MULTIPLY, OVERRIDE, UPGRADE } = CONST.ACTIVE_EFFECT_MODES;
+  for (const { mode, value } of modifiers) {
+    const delta = new Roll(String(value ?? "").trim() || "0", rollData).evaluateSync({ strict: false }).total;
+    if (!Number.isFinite(delta)) continue;
+    switch (mode) {
+      case MULTIPLY: radius *= delta; break;
+      case OVERRIDE: radius = delta; break;
+      case UPGRADE: radius = Math.max(radius, delta); break;
+      case DOWNGRADE: radius = Math.min(radius, delta); break;
+      case ADD:
+      default: radius += delta;
+    }
+  }
+  return Math.max(radius, 0);
+}
+
+/**
+ * Get the relationships an aura applies to, after any modifiers from effects on its actor. Each modifier's value is a
+ * comma-separated list of relationships to add (or, prefixed with "-", to remove); an "Override" modifier replaces
+ * the aura's relationships entirely
+ * @param {ActiveEffect} effect     The source aura effect
+ * @returns {Set<string>}
+ */
+function getAuraRelationships(effect) {
+  const relationships = new Set(effect.system.relationships);
+  for (const { mode, value } of getAuraModifiers(effect, AURA_MODIFIERS.APPLIES_TO)) {
+    if (mode === CONST.ACTIVE_EFFECT_MODES.OVERRIDE) relationships.clear();
+    for (const entry of String(value ?? "").split(",").map(e => e.trim().toLowerCase()).filter(Boolean)) {
+      if (entry.startsWith("-")) relationships.delete(entry.slice(1).trim());
+      else if (Object.values(RELATIONSHIPS).includes(entry)) relationships.add(entry);
+    }
+  }
+  return relationships;
+}
+
+/**
+ * Whether an aura is suppressed by effects on its actor; the highest-priority modifier wins
+ * @param {ActiveEffect} effect     The source aura effect
+ * @returns {boolean}
+ */
+function isSuppressedByModifiers(effect) {
+  const [last] = getAuraModifiers(effect, AURA_MODIFIERS.SUPPRESS).slice(-1);
+  return !!last && !["", "0", "false"].includes(String(last.value ?? "").trim().toLowerCase());
+}
+
+/**
+ * Whether a token passes an aura's filters, combined as configured by its filter mode
+ * @param {ActiveEffect} effect                   The aura effect in question
+ * @param {TokenDocument} token                   The potential aura effect recipient token
+ * @param {TokenDocument} [sourceToken]           The aura-emanating token (if not a static aura)
+ * @returns {boolean}
+ */
+function passesFilters(effect, token, sourceToken) {
+  const { filters, filterMode } = effect.system;
+  if (!filters.length) return true;
+  const results = filters.map(filter => testFilter(filter, token, sourceToken) !== filter.negate);
+  return (filterMode === FILTER_MODES.ANY) ? results.some(Boolean) : results.every(Boolean);
+}
+
+/**
+ * Whether a token meets a single aura filter, ignoring whether it is negated
+ * @param {{type: string, value: string}} filter  The filter (see FILTER_TYPES)
+ * @param {TokenDocument} token                   The potential aura effect recipient token
+ * @param {TokenDocument} [sourceToken]           The aura-emanating token (if not a static aura)
+ * @returns {boolean}
+ */
+function testFilter({ type, value }, token, sourceToken) {
+  const actor = token.actor;
+  const text = value.trim().toLowerCase();
+  switch (type) {
+    case FILTER_TYPES.STATUS:
+      return actor.statuses.has(value.trim());
+    case FILTER_TYPES.ACTOR_TYPE:
+      return actor.type.toLowerCase() === text;
+    case FILTER_TYPES.HP_BELOW: {
+      const hp = getHitPoints(actor);
+      if (!hp?.max || !text.length || !Number.isFinite(Number(text))) return false;
+      return ((hp.value / hp.max) * 100) < Number(text);
+    }
+    case FILTER_TYPES.SOURCE_IN_COMBAT:
+      return !!sourceToken?.inCombat;
+    case FILTER_TYPES.TARGET_IN_COMBAT:
+      return token.inCombat;
+    case FILTER_TYPES.NAME:
+      return token.name.toLowerCase().includes(text);
+    case FILTER_TYPES.CREATURE_TYPE:
+      return getCreatureTypes(actor).some(t => t.includes(text));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get the reason, if any, that the provided aura effect should not apply to the provided token
  * @param {ActiveEffect} effect 
  * @param {TokenDocument} token 
+ * @param {Object} [options]
+ * @param {boolean} [options.checkRange=true]     Check whether the token is within one of the aura's regions
+ * @param {boolean} [options.throwErrors=false]   Throw any error raised by the aura's conditional script
+ * @param {TokenDocument} [options.sourceToken]   The token emitting the aura, which defaults to the first token of
+ *                                                the effect's actor on the scene
+ * @returns {Promise<string|null>}                The reason (see APPLICATION_FAILURES), or null if it should apply
  */
-function auraShouldApply(effect, token) {
+async function getAuraApplicationFailure(effect, token, { checkRange = true, throwErrors = false, sourceToken } = {}) {
   // Actorless or sceneless token
-  if (!token.actor || !token.parent) return false;
+  if (!token.actor || !token.parent) return APPLICATION_FAILURES.NO_SOURCE;
   // Not in range
-  if (!getAuraRegions(token).find(r => r.getFlag("auraeffects", "origin") === effect.uuid)) return false;
-  // Somehow despite being in range, no source token
-  const sourceToken = token.parent.tokens.find(t => t.actor === effect.actor);
-  if (!sourceToken) return false;
-  if (!effect.system.applyToSelf && (sourceToken.actor === token.actor)) return false;
-  // Disposition doesn't match
-  const disposition = token.disposition * sourceToken.disposition;
-  if (![0, disposition].includes(effect.system.disposition)) return false;
+  const inRange = (r) => (r.getFlag("auraeffects", "origin") === effect.uuid) && (!sourceToken || (r.attachment?.token === sourceToken));
+  if (checkRange && !getAuraRegions(token).find(inRange)) return APPLICATION_FAILURES.RANGE;
+  // Somehow despite being in range, no source token (unless it is a static aura, which has none)
+  sourceToken ??= getSourceToken(effect, token.parent);
+  const isStatic = !sourceToken && token.parent.regions.some(r => isStaticAuraRegion(r) && (r.getFlag("auraeffects", "origin") === effect.uuid));
+  if (!sourceToken && !isStatic) return APPLICATION_FAILURES.NO_SOURCE;
+  // Static regions outlive their source effect being disabled or suppressed, unlike token-attached ones
+  if (isStatic && (effect.disabled || effect.isSuppressed)) return APPLICATION_FAILURES.NO_SOURCE;
+  // Within the region's vertical bounds, but outside of the sphere
+  if (sourceToken && (effect.system.verticalShape === VERTICAL_SHAPES.SPHERE) && !isWithinSphere(effect, sourceToken, token, getAuraBand(effect, token, sourceToken))) return APPLICATION_FAILURES.ELEVATION;
+  // Relationship to the source doesn't match
+  if (!getAuraRelationships(effect).has(getRelationship(sourceToken, token))) return APPLICATION_FAILURES.RELATIONSHIP;
+  // Explicitly included or excluded
+  if (!passesTargetList(effect, token)) return APPLICATION_FAILURES.TARGET_LIST;
+  // Filters don't pass
+  if (!passesFilters(effect, token, sourceToken)) return APPLICATION_FAILURES.FILTERS;
   // Script doesn't pass
-  if (!executeScript(sourceToken, token, effect)) return false;
+  if (!(await executeScript(sourceToken, token, effect, { throwErrors }))) return APPLICATION_FAILURES.SCRIPT;
   // All good
-  return true;
+  return null;
+}
+
+/**
+ * Returns whether the provided aura effect should apply to the provided token
+ * @param {ActiveEffect} effect 
+ * @param {TokenDocument} token 
+ * @param {TokenDocument} [sourceToken]   The token emitting the aura, if it is emitted by a specific token
+ * @returns {Promise<boolean>}
+ */
+async function auraShouldApply(effect, token, sourceToken) {
+  return !(await getAuraApplicationFailure(effect, token, { sourceToken }));
+}
+
+/**
+ * Evaluate an aura effect (which need not be saved) against every token on its source token's scene, using
+ * temporary regions in place of the aura's actual ones
+ * @param {ActiveEffect} effect         The aura effect to preview
+ * @param {TokenDocument} sourceToken   The aura-emanating token
+ * @returns {Promise<{token: TokenDocument, failure: string|null, error?: string}[]>}   Each token, along with the
+ *                                      reason the aura would not apply to it (see APPLICATION_FAILURES), if any
+ */
+async function previewAura(effect, sourceToken) {
+  const scene = sourceToken.parent;
+  const RegionDocument = getDocumentClass("Region");
+  // Regions for each band, smallest first, both with & without the aura's wall restriction
+  const bands = [null, ...effect.system.bands.keys()]
+    .sort((a, b) => effect.system.getBandDistance(a) - effect.system.getBandDistance(b));
+  const regions = bands.map(band => {
+    const data = getRegionDataFromEffect(effect, sourceToken, band);
+    return {
+      band,
+      restricted: new RegionDocument(data, { parent: scene }),
+      unrestricted: new RegionDocument({ ...data, restriction: { enabled: false } }, { parent: scene })
+    };
+  });
+  const results = [];
+  for (const token of scene.tokens) {
+    if (!token.actor) continue;
+    const containing = regions.find(r => token.testInsideRegion(r.restricted));
+    if (!containing) {
+      const blocked = regions.some(r => token.testInsideRegion(r.unrestricted));
+      results.push({ token, failure: blocked ? APPLICATION_FAILURES.WALLS : APPLICATION_FAILURES.RANGE });
+      continue;
+    }
+    let failure;
+    try {
+      failure = await getAuraApplicationFailure(effect, token, { checkRange: false, throwErrors: true, sourceToken });
+    } catch (error) {
+      results.push({ token, failure: APPLICATION_FAILURES.SCRIPT_ERROR, error: error.message });
+      continue;
+    }
+    // A full stacking group, none of whose auras would be replaced
+    if (!failure && Number.isFinite(effect.system.maxStacks)) {
+      const key = getAuraSourceKey(effect.uuid, sourceToken.uuid);
+      const bestValue = getAuraBestValue(effect, token.actor, containing.band);
+      const inGroup = token.actor.effects.filter(e => e.getFlag("auraeffects", "fromAura")
+        && (getAppliedStackKey(e) === effect.system.stackKey)
+        && !isAppliedFromSource(e, key));
+      if (inGroup.length >= effect.system.maxStacks) {
+        const competitors = inGroup.map(e => ({
+          uuid: getAuraSourceUuid(e),
+          key: getAppliedSourceKey(e),
+          bestValue: e.getFlag("auraeffects", "bestValue") ?? 0,
+          lingering: !!e.getFlag("auraeffects", "lingering"),
+          applied: true
+        }));
+        const weakest = competitors.reduce((weakest, c) => (!weakest || (compareAuras(c, weakest, token) < 0)) ? c : weakest, null);
+        if (compareAuras({ uuid: effect.uuid, key, bestValue }, weakest, token) <= 0) failure = APPLICATION_FAILURES.OUTCLASSED;
+      }
+    }
+    results.push({ token, failure });
+  }
+  return results;
+}
+
+/**
+ * Get the source aura effect & token of an aura source
+ * @param {string} key    The aura source key
+ * @returns {{effect: ActiveEffect|null, sourceToken: TokenDocument|undefined}}
+ */
+function resolveAuraSource(key) {
+  const { effectUuid, tokenUuid } = parseAuraSourceKey(key);
+  return {
+    effect: fromUuidSync(effectUuid),
+    sourceToken: tokenUuid ? (fromUuidSync(tokenUuid) ?? undefined) : undefined
+  };
+}
+
+/**
+ * Filter the given aura sources down to those which should apply to the provided token
+ * @param {string[]} keys                   The keys of the aura sources to check (any missing sources are dropped)
+ * @param {TokenDocument} token             The potential aura effect recipient token
+ * @returns {Promise<string[]>}
+ */
+async function filterApplicableSources(keys, token) {
+  const results = await Promise.all(keys.map(key => {
+    const { effect, sourceToken } = resolveAuraSource(key);
+    return effect ? auraShouldApply(effect, token, sourceToken) : false;
+  }));
+  return keys.filter((key, i) => results[i]);
+}
+
+/**
+ * Measure the horizontal (center-to-center) and vertical distance between two tokens on the same scene
+ * @param {TokenDocument} tokenA
+ * @param {TokenDocument} tokenB
+ * @returns {{horizontal: number, vertical: number}}  Both distances, in grid units
+ */
+function measureTokenDistance(tokenA, tokenB) {
+  const horizontal = tokenA.parent.grid.measurePath([tokenA.getCenterPoint(), tokenB.getCenterPoint()]).distance;
+  const vertical = Math.abs(tokenA.elevation - tokenB.elevation);
+  return { horizontal, vertical };
+}
+
+/**
+ * Whether a token is within the sphere of a spherical aura (or of the band of it the token is within), measured from
+ * the edge of the source token
+ * @param {ActiveEffect} effect         The aura effect in question
+ * @param {TokenDocument} sourceToken   The aura-emanating token
+ * @param {TokenDocument} token         The potential aura effect recipient token
+ * @param {number|null} [band=null]     The index of the band the token is within, or null for the aura's base band
+ * @returns {boolean}
+ */
+function isWithinSphere(effect, sourceToken, token, band = null) {
+  const { horizontal, vertical } = measureTokenDistance(sourceToken, token);
+  const sourceRadius = Math.max(sourceToken.width, sourceToken.height) * sourceToken.parent.grid.distance / 2;
+  return Math.hypot(Math.max(0, horizontal - sourceRadius), vertical) <= effect.system.getBandDistance(band);
 }
 
 /**
  * Remove specified auras, ensuring that any non-stacking auras perform a search for the "next-best"
  * and apply it, if present
- * @param {ActiveEffect[]} effects  The effects which will be removed
- * @param {Scene} scene             The scene on which to perform any necessary logic
+ * @param {ActiveEffect[]} effects                    The effects which will be removed
+ * @param {Scene} scene                                 The scene on which to perform any necessary logic
+ * @param {Record<string, string[]>} [toAdd={}]         Actor uuid -> aura source keys to apply alongside the
+ *                                                      replacements, so that they share a single query
  */
-async function removeAndReplaceAuras(effects, scene) {
-  const activeGM = game.users.activeGM;
+async function removeAndReplaceAuras(effects, scene, toAdd = {}) {
+  effects = Array.from(new Set(effects.filter(Boolean)));
 
-  // Get map of effect name -> tokens removed from (only for non-stacking effects)
+  // Get map of stacking group -> tokens removed from
   const effectToRemovedMap = effects.reduce((acc, effect) => {
-    if (!effect) return acc;
-    acc[effect.name] ??= [];
-    acc[effect.name].push(...effect.parent.getActiveTokens(false, true));
+    const stackKey = getAppliedStackKey(effect);
+    acc[stackKey] ??= [];
+    // Effects are shared by every token of a linked actor, so each removal only makes room for one replacement
+    const token = scene.tokens.find(t => t.actor === effect.parent);
+    if (token) acc[stackKey].push(token);
     return acc;
   }, {});
 
   // Remove effects
-  if (effects) await activeGM.query("auraeffects.deleteEffects", { effectUuids: effects.map(e => e.uuid) });
+  if (effects.length) await runQuery("auraeffects.deleteEffects", { effectUuids: effects.map(e => e.uuid) }, { scene });
 
   // Get all on-scene aura sources for the effects just deleted, sort by best, apply to tokens as possible
-  const newBestApplyMap = {};
-  function getSourceEffect(token, effectName) {
-    return token.actor.appliedEffects.find(e => (e.type === "auraeffects.aura") && ((e.system.overrideName.trim() || e.name) === effectName));
-  }
-  Object.keys(effectToRemovedMap).forEach(effectName => {
-    const allEmitting = scene.tokens.filter(t => getAllAuraEffects(t.actor)[0].some(e => (e.system.overrideName.trim() || e.name) === effectName));
-    allEmitting.sort((a, b) => {
-      const effectA = getSourceEffect(a, effectName);
-      const effectB = getSourceEffect(b, effectName);
-      if (!effectA) return 1;
-      if (!effectB) return -1;
-      const bestFormulaA = effectA.system.bestFormula?.trim();
-      const bestFormulaB = effectB.system.bestFormula?.trim();
-      if (!bestFormulaA) return 1;
-      if (!bestFormulaB) return -1;
-      const totalA = new Roll(bestFormulaA, a.actor.getRollData()).evaluateSync().total;
-      const totalB = new Roll(bestFormulaB, b.actor.getRollData()).evaluateSync().total;
-      return totalB - totalA;
-    });
-
-    for (const targetToken of effectToRemovedMap[effectName]) {
-      for (const sourceToken of allEmitting) {
-        const effect = getSourceEffect(sourceToken, effectName);
-        if (!effect) continue;
-        if (!auraShouldApply(effect, targetToken)) continue
-        newBestApplyMap[targetToken.actor.uuid] ??= [];
-        newBestApplyMap[targetToken.actor.uuid].push(effect.uuid);
+  const newBestApplyMap = Object.fromEntries(Object.entries(toAdd).map(([actorUuid, uuids]) => [actorUuid, Array.from(new Set(uuids))]));
+  for (const stackKey of Object.keys(effectToRemovedMap)) {
+    // Auras emitted by each token (including every token of a linked actor), along with those of static regions & tiles
+    const allEmitting = scene.tokens
+      .filter(t => t.actor)
+      .flatMap(t => getAllAuraEffects(t.actor)[0].filter(e => e.system.stackKey === stackKey).map(effect => ({ effect, sourceToken: t })))
+      .concat(getStaticAuraEffects(scene).filter(e => e.system.stackKey === stackKey).map(effect => ({ effect })));
+
+    // Each removed effect makes room for (at most) one aura of its group not already applied to the token
+    for (const targetToken of effectToRemovedMap[stackKey]) {
+      const toApply = newBestApplyMap[targetToken.actor.uuid] ??= [];
+      // The "best" formula may depend on the recipient, so sort separately for each
+      const candidates = allEmitting
+        .map(({ effect, sourceToken }) => ({
+          uuid: effect.uuid,
+          key: getAuraSourceKey(effect.uuid, sourceToken?.uuid),
+          bestValue: getAuraBestValue(effect, targetToken.actor, getAuraBand(effect, targetToken, sourceToken)),
+          effect,
+          sourceToken
+        }))
+        .filter(c => !findAppliedAura(targetToken.actor, c.key) && !toApply.includes(c.key))
+        .sort((a, b) => compareAuras(b, a, targetToken));
+      for (const { effect, sourceToken, key } of candidates) {
+        if (!(await auraShouldApply(effect, targetToken, sourceToken))) continue;
+        toApply.push(key);
         break;
       }
     }
-  });
-  if (!foundry.utils.isEmpty(newBestApplyMap)) return activeGM.query("auraeffects.applyAuraEffects", newBestApplyMap);
+  }
+  for (const [actorUuid, toApply] of Object.entries(newBestApplyMap)) {
+    if (!toApply.length) delete newBestApplyMap[actorUuid];
+  }
+  if (!foundry.utils.isEmpty(newBestApplyMap)) return runQuery("auraeffects.applyAuraEffects", { sceneId: scene.id, actorToEffectsMap: newBestApplyMap }, { scene });
+}
+
+/**
+ * Remove applied auras from tokens which have left their regions, instead leaving them behind as timed effects
+ * if their source aura is configured to linger
+ * @param {ActiveEffect[]} effects                      The applied effects whose regions were left
+ * @param {Scene} scene                                   The scene on which to perform any necessary logic
+ * @param {Object} [options]
+ * @param {ActiveEffect[]} [options.toRemove=[]]          Other applied effects to remove outright
+ * @param {Record<string, string[]>} [options.toAdd={}]   Actor uuid -> aura source keys to apply
+ */
+async function lingerOrRemoveAuras(effects, scene, { toRemove = [], toAdd = {} } = {}) {
+  const toLinger = [];
+  toRemove = [...toRemove];
+  for (const effect of effects) {
+    if (effect.getFlag("auraeffects", "lingering")) continue;
+    const sourceEffect = fromUuidSync(getAuraSourceUuid(effect));
+    if (sourceEffect?.system.lingerDuration) toLinger.push(effect.uuid);
+    else toRemove.push(effect);
+  }
+  if (toLinger.length) await runQuery("auraeffects.lingerEffects", { effectUuids: toLinger }, { scene });
+  await removeAndReplaceAuras(toRemove, scene, toAdd);
+}
+
+/**
+ * Remove any lingering auras on a scene which have run out, ensuring the "next-best" non-stacking aura is applied
+ * in their place
+ * @param {Scene} scene   The scene on which to perform any necessary logic
+ */
+async function removeExpiredAuras(scene) {
+  const actors = new Set(scene.tokens.map(t => t.actor).filter(Boolean));
+  const expired = Array.from(actors).flatMap(actor => actor.effects.filter(e => {
+    if (!e.getFlag("auraeffects", "lingering")) return false;
+    const remaining = e.duration.remaining;
+    return Number.isFinite(remaining) && (remaining <= 0);
+  }));
+  if (expired.length) await removeAndReplaceAuras(expired, scene);
+}
+
+/**
+ * Have the active GM run an aura query. Without an active GM, the current user instead runs it themselves if the world
+ * allows owners to and they own everything involved; otherwise, the scene the query affects is recorded as needing its
+ * auras reconciled (along with any triggers which fired) once a GM connects
+ * @param {string} name     The name of the query (see CONFIG.queries)
+ * @param {Object} data     Query input data
+ * @param {Object} [options]
+ * @param {Scene} [options.scene]   The scene the query affects, defaulting to the viewed scene
+ * @returns {Promise<*>}
+ */
+async function runQuery(name, data, { scene } = {}) {
+  const activeGM = game.users.activeGM;
+  if (activeGM) return activeGM.query(name, data);
+  if (game.settings.get("auraeffects", "ownerApplication") && canRunQueryLocally(name, data)) {
+    try {
+      return await CONFIG.queries[name](data, {});
+    } catch (error) {
+      console.warn(_loc("AURAEFFECTS.Errors.LocalQueryError", { error }));
+    }
+  }
+  return recordPendingChange(name, data, scene ?? canvas.scene);
+}
+
+/**
+ * Whether the current user may run an aura query themselves, i.e. whether they own each source & target involved
+ * (and can make any region changes needed)
+ * @param {string} name     The name of the query (see CONFIG.queries)
+ * @param {Object} data     Query input data
+ * @returns {boolean}
+ */
+function canRunQueryLocally(name, data) {
+  const isOwner = (uuid) => !!(uuid && fromUuidSync(uuid)?.isOwner);
+  const isOwnedAppliedEffect = (uuid) => {
+    const effect = fromUuidSync(uuid);
+    return !!effect?.isOwner && isOwner(getAuraSourceUuid(effect));
+  };
+  switch (name) {
+    case "auraeffects.applyAuraEffects":
+      return Object.entries(data.actorToEffectsMap).every(([actorUuid, keys]) => isOwner(actorUuid) && keys.every(k => isOwner(parseAuraSourceKey(k).effectUuid)));
+    case "auraeffects.deleteEffects":
+    case "auraeffects.lingerEffects":
+      return data.effectUuids.every(isOwnedAppliedEffect);
+    case "auraeffects.executeTriggers":
+      return data.triggered.every(({ effectUuid, tokenUuid }) => isOwner(effectUuid) && isOwner(tokenUuid));
+    case "auraeffects.updateRegionsForToken":
+    case "auraeffects.updateAuraRegions":
+      return (data.changes ?? [data]).every(({ tokenUuid, sceneUuid, toCreate, toUpdate, toDelete }) => {
+        const scene = tokenUuid ? fromUuidSync(tokenUuid)?.parent : fromUuidSync(sceneUuid);
+        if (!scene) return false;
+        if (toCreate.length && !getDocumentClass("Region").canUserCreate(game.user)) return false;
+        return toUpdate.every(d => scene.regions.get(d._id)?.canUserModify(game.user, "update"))
+          && toDelete.every(id => scene.regions.get(id)?.canUserModify(game.user, "delete"));
+      });
+  }
+  return false;
+}
+
+/**
+ * Record, on the current user, that a scene's auras need reconciling once a GM is present. Triggers which fired are
+ * recorded in full, to be replayed
+ * @param {string} name     The name of the query (see CONFIG.queries)
+ * @param {Object} data     Query input data
+ * @param {Scene} [scene]   The scene the query affects
+ */
+async function recordPendingChange(name, data, scene) {
+  if (!scene) return;
+  const key = `pendingChanges.${scene.id}`;
+  const pending = game.user.getFlag("auraeffects", key);
+  if (name === "auraeffects.executeTriggers") return game.user.setFlag("auraeffects", key, [...(pending ?? []), data]);
+  if (!pending) return game.user.setFlag("auraeffects", key, []);
+}
+
+/**
+ * Have the active GM run any of the given aura effects' triggers which respond to the given event, for the paired tokens
+ * @param {string} event                              The triggering event (see TRIGGER_EVENTS)
+ * @param {[ActiveEffect, TokenDocument, TokenDocument?][]} pairs   Pairs of source aura effects & the tokens they are
+ *                                                    triggering for, along with the token emitting the aura, if any
+ */
+async function runAuraTriggers(event, pairs) {
+  const triggered = pairs
+    .filter(([effect, token]) => token && effect?.system.triggers?.some(t => t.event === event))
+    .map(([effect, token, sourceToken]) => ({ effectUuid: effect.uuid, tokenUuid: token.uuid, sourceTokenUuid: sourceToken?.uuid }));
+  if (!triggered.length) return;
+  const scene = pairs.find(([, token]) => token)[1].parent;
+  return runQuery("auraeffects.executeTriggers", { event, triggered }, { scene });
 }
 
 /**
@@ -159,76 +941,243 @@ function getExtendedTabs(origTabs) {
 }
 
 /**
- * Create or delete all token-attached regions as necessary
+ * Check every token which is either within one of an aura's regions or has its effect applied, collecting which
+ * applied effects should be removed and which actors should (re-)receive the aura
+ * @param {ActiveEffect} sourceEffect               The source aura effect
+ * @param {Scene} scene                             The scene on which to perform any necessary logic
+ * @param {ActiveEffect[]} toRemove                 Applied effects to remove, added to in place
+ * @param {Record<string, string[]>} toAdd          Actor uuid -> aura source keys to apply, added to in place
+ * @param {TokenDocument} [sourceToken]             The token emitting the aura, if it is emitted by a specific token
+ */
+async function collectRecipientChanges(sourceEffect, scene, toRemove, toAdd, sourceToken) {
+  const key = getAuraSourceKey(sourceEffect.uuid, sourceToken?.uuid);
+  const isSourceRegion = (r) => (r.getFlag("auraeffects", "origin") === sourceEffect.uuid) && (!sourceToken || (r.attachment?.token === sourceToken));
+  const tokensToCheck = new Set(scene.regions.filter(isSourceRegion).flatMap(r => Array.from(r.tokens)));
+  // Include tokens which have been left behind by the update, e.g. due to a change in elevation
+  for (const sceneToken of scene.tokens) {
+    if (findAppliedAura(sceneToken.actor, key)) tokensToCheck.add(sceneToken);
+  }
+  for (const currToken of tokensToCheck) {
+    if (!currToken.actor) continue;
+    const currAppliedEffect = findAppliedAura(currToken.actor, key);
+    const shouldApply = await auraShouldApply(sourceEffect, currToken, sourceToken);
+    // Lingering effects are left alone, unless the aura should (re-)apply
+    if (currAppliedEffect && !currAppliedEffect.getFlag("auraeffects", "lingering")) {
+      if (!shouldApply) toRemove.push(currAppliedEffect);
+      // Still within the aura, but now within a different band of it, or with values which are out of date
+      else if (isAppliedAuraOutdated(currAppliedEffect, sourceEffect, currToken, sourceToken)) {
+        toAdd[currToken.actor.uuid] ??= [];
+        toAdd[currToken.actor.uuid].push(key);
+      }
+    } else {
+      if (shouldApply) {
+        toAdd[currToken.actor.uuid] ??= [];
+        toAdd[currToken.actor.uuid].push(key);
+      }
+    }
+  }
+}
+
+/**
+ * Whether an aura applied to a token which should still receive it needs to be re-applied in place, because the token
+ * is now within a different band of it, or because the values it was applied with are out of date
+ * @param {ActiveEffect} appliedEffect    The applied aura effect
+ * @param {ActiveEffect} sourceEffect     The source aura effect
+ * @param {TokenDocument} token           The recipient token
+ * @param {TokenDocument} [sourceToken]   The token emitting the aura, if it is emitted by a specific token
+ * @returns {boolean}
+ */
+function isAppliedAuraOutdated(appliedEffect, sourceEffect, token, sourceToken) {
+  if (appliedEffect.getFlag("auraeffects", "lingering")) return false;
+  const band = getAuraBand(sourceEffect, token, sourceToken);
+  if ((appliedEffect.getFlag("auraeffects", "band") ?? null) !== band) return true;
+  if (!sourceEffect.system.dependencies.values) return false;
+  return hasOutdatedValues(appliedEffect, getAppliedEffectData(sourceEffect, band, token.actor, sourceToken));
+}
+
+/**
+ * Apply or remove a static aura (one emitted by a region or tile) for every token it affects or has affected,
+ * e.g. after its region has been created, moved, or reshaped, or its source effect has changed
+ * @param {ActiveEffect} sourceEffect   The source aura effect
+ * @param {Scene} scene                 The scene on which to perform any necessary logic
+ */
+async function refreshStaticAura(sourceEffect, scene) {
+  const toRemove = [];
+  const toAdd = {};
+  await collectRecipientChanges(sourceEffect, scene, toRemove, toAdd);
+  await removeAndReplaceAuras(toRemove, scene, toAdd);
+}
+
+/**
+ * Get region data for the aura of a tile, which covers the tile and extends outwards from its edges by the aura's
+ * distance
+ * @param {ActiveEffect} effect   The source aura effect
+ * @param {TileDocument} tile     The tile emitting the aura
+ * @returns {RegionData}
+ */
+function getTileRegionData(effect, tile) {
+  const padding = tile.parent.dimensions.distancePixels * effect.system.distance;
+  return {
+    color: effect.system.color?.css ?? game.user.color.css,
+    displayMeasurements: false,
+    flags: {
+      auraeffects: {
+        origin: effect.uuid,
+        tile: tile.id
+      }
+    },
+    highlightMode: getRegionHighlightMode(effect),
+    locked: true,
+    name: effect.name,
+    shapes: [{
+      type: "rectangle",
+      x: tile.x - padding,
+      y: tile.y - padding,
+      width: tile.width + (padding * 2),
+      height: tile.height + (padding * 2),
+      rotation: tile.rotation,
+      gridBased: true,
+      hole: false
+    }],
+    // Shown radii are drawn by each client's aura layer instead, according to the aura's audience
+    visibility: CONST.REGION_VISIBILITY.LAYER_UNLOCKED
+  };
+}
+
+/**
+ * Create, update, or delete the region representing a tile's aura, according to the tile's aura source flag
+ * @param {TileDocument} tile
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted=false]   Whether the tile has been deleted, and so its region should be too
+ */
+async function updateTileAuraRegion(tile, { deleted = false } = {}) {
+  const scene = tile.parent;
+  const existing = scene.regions.find(r => r.getFlag("auraeffects", "tile") === tile.id);
+  const effect = deleted ? null : fromUuidSync(tile.getFlag("auraeffects", "origin") ?? "");
+  const changes = { sceneUuid: scene.uuid, toCreate: [], toUpdate: [], toDelete: [] };
+  if (effect?.type !== "auraeffects.aura") {
+    if (!existing) return;
+    changes.toDelete.push(existing.id);
+  }
+  else if (existing) changes.toUpdate.push({ _id: existing.id, ...getTileRegionData(effect, tile) });
+  else changes.toCreate.push(getTileRegionData(effect, tile));
+  return runQuery("auraeffects.updateAuraRegions", { changes: [changes] }, { scene });
+}
+
+/**
+ * @typedef {Object} RegionChanges
+ * @property {string} [tokenUuid]       The uuid of the token the regions are attached to
+ * @property {string} [sceneUuid]       The uuid of the scene of regions which aren't attached to a token (i.e. those
+ *                                      of tiles)
+ * @property {RegionData[]} toCreate    Data for regions to create
+ * @property {RegionData[]} toUpdate    Update data for existing regions
+ * @property {string[]} toDelete        The ids of regions to delete
+ */
+
+/**
+ * Determine which of a token's attached aura regions need to be created, updated, or deleted
  * @param {TokenDocument} token         A specified token document
+ * @returns {RegionChanges}
  */
-async function updateAllAuraRegions(token) {
-  if (!token.actor) return;
-  const [activeSourceEffects] = getAllAuraEffects(token.actor);
+function getAuraRegionChanges(token) {
+  // Each token of a linked actor emits its own regions, so auras which are disabled while hidden are checked per-token
+  const activeSourceEffects = (token.actor ? getAllAuraEffects(token.actor)[0] : []).filter(e => !(e.system.disableOnHidden && token.hidden));
   const attachedAuraRegions = Array.from(token.attachments.regions.filter(r => r.getFlag("auraeffects", "origin")));
-  const shouldHaveUuids = new Set(activeSourceEffects.map(e => e.uuid));
-  const toDelete = attachedAuraRegions.filter(r => !shouldHaveUuids.has(r.flags.auraeffects.origin)).map(r => r.id);
+  // Each aura has a region for its own (base) band, plus one for each additional band
+  const getRegionKey = (origin, band) => `${origin}|${band ?? null}`;
+  const shouldHaveKeys = new Set(activeSourceEffects.flatMap(e => [null, ...e.system.bands.keys()].map(band => getRegionKey(e.uuid, band))));
+  const toDelete = attachedAuraRegions
+    .filter(r => !shouldHaveKeys.has(getRegionKey(r.flags.auraeffects.origin, r.flags.auraeffects.band)))
+    .map(r => r.id);
   const toCreate = [];
   const toUpdate = [];
   for (const effect of activeSourceEffects) {
-    const existingRegion = attachedAuraRegions.find(r => r.getFlag("auraeffects", "origin") === effect.uuid);
-    if (!existingRegion) toCreate.push(getRegionDataFromEffect(effect, token));
-    else {
-      const updateData = {_id: existingRegion.id, ...getRegionDataFromEffect(effect, token)};
-      toUpdate.push(updateData);
+    for (const band of [null, ...effect.system.bands.keys()]) {
+      const existingRegion = attachedAuraRegions.find(r => getRegionKey(r.getFlag("auraeffects", "origin"), r.getFlag("auraeffects", "band")) === getRegionKey(effect.uuid, band));
+      if (!existingRegion) toCreate.push(getRegionDataFromEffect(effect, token, band));
+      else {
+        const updateData = {_id: existingRegion.id, ...getRegionDataFromEffect(effect, token, band)};
+        toUpdate.push(updateData);
+      }
     }
   }
-  await game.users.activeGM.query("auraeffects.updateRegionsForToken", { tokenUuid: token.uuid, toCreate, toUpdate, toDelete });
-  const updatedIds = new Set(toUpdate.map(r => r._id));
+  return { tokenUuid: token.uuid, toCreate, toUpdate, toDelete };
+}
+
+/**
+ * After a token's aura regions have been updated, check every token which is within or has left them, collecting
+ * which applied effects should be removed and which actors should (re-)receive the auras
+ * @param {TokenDocument} token                     The token whose regions were updated
+ * @param {RegionChanges} regionChanges             The changes which were made
+ * @param {ActiveEffect[]} toRemove                 Applied effects to remove, added to in place
+ * @param {Record<string, string[]>} toAdd          Actor uuid -> aura source keys to apply, added to in place
+ */
+async function collectUpdatedRegionChanges(token, regionChanges, toRemove, toAdd) {
+  const scene = token.parent;
+  const updatedOrigins = new Set(regionChanges.toUpdate.map(r => scene.regions.get(r._id)?.getFlag("auraeffects", "origin")).filter(Boolean));
+  for (const origin of updatedOrigins) {
+    const sourceEffect = fromUuidSync(origin);
+    if (!sourceEffect) continue;
+    await collectRecipientChanges(sourceEffect, scene, toRemove, toAdd, token);
+  }
+}
+
+/**
+ * Create or delete all token-attached regions as necessary
+ * @param {TokenDocument} token         A specified token document
+ */
+async function updateAllAuraRegions(token) {
+  if (!token.actor) return;
+  const regionChanges = getAuraRegionChanges(token);
+  await runQuery("auraeffects.updateRegionsForToken", regionChanges, { scene: token.parent });
   const toRemove = [];
   const toAdd = {};
-  for (const region of attachedAuraRegions) {
-    if (!updatedIds.has(region.id)) continue;
-    const sourceEffect = fromUuidSync(region.getFlag("auraeffects", "origin"));
-    for (const currToken of region.tokens) {
-      if (!currToken.actor) continue;
-      // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
-      const currAppliedEffect = currToken.actor.effects.find(e => [e.getFlag("auraeffects", "fromAura"), e.origin].includes(sourceEffect.uuid));
-      if (currAppliedEffect) {
-        if (!auraShouldApply(sourceEffect, currToken)) toRemove.push(currAppliedEffect);
-      } else {
-        if (auraShouldApply(sourceEffect, currToken)) toAdd[currToken.actor.uuid] = [sourceEffect.uuid]
-      }
+  await collectUpdatedRegionChanges(token, regionChanges, toRemove, toAdd);
+  await removeAndReplaceAuras(toRemove, token.parent, toAdd);
+}
+
+/**
+ * Check whether each conditional aura a token is within should now be applied or removed
+ * @param {TokenDocument} token
+ * @param {ActiveEffect[]} toRemove                 Applied effects to remove, added to in place
+ * @param {Record<string, string[]>} toAdd          Actor uuid -> aura source keys to apply, added to in place
+ */
+async function collectConditionalChanges(token, toRemove, toAdd) {
+  if (!token.actor) return;
+  const keys = new Set(getAuraRegions(token).map(getRegionSourceKey));
+  for (const key of keys) {
+    const { effect: sourceEffect, sourceToken } = resolveAuraSource(key);
+    if (!sourceEffect?.system.dependencies.target) continue;
+    const existingEffect = findAppliedAura(token.actor, key);
+    const shouldApply = await auraShouldApply(sourceEffect, token, sourceToken);
+    if (existingEffect && !shouldApply) toRemove.push(existingEffect);
+    else if (existingEffect ? isAppliedAuraOutdated(existingEffect, sourceEffect, token, sourceToken) : shouldApply) {
+      toAdd[token.actor.uuid] ??= [];
+      toAdd[token.actor.uuid].push(key);
     }
   }
-  if (toRemove.length) await removeAndReplaceAuras(toRemove, token.parent);
-  if (!foundry.utils.isEmpty(toAdd)) await game.users.activeGM.query("auraeffects.applyAuraEffects", toAdd);
 }
 
 /**
  * Ensure all applied auras shouldn't be removed, and all non-applied auras shouldn't be applied
  * @param {TokenDocument} token 
  */
-// TODO: Any way to keep this from always toggling between effects if prefer recent is on & both require conditionals?
 async function refreshConditionalAuras(token) {
   if (!token.actor) return;
   const toRemove = [];
-  const toAdd = [];
-  for (const region of getAuraRegions(token)) {
-    const sourceEffect = fromUuidSync(region.getFlag("auraeffects", "origin"));
-    if (!sourceEffect?.system.script.length) continue;
-    // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
-    const existingEffect = token.actor.effects.find(e => [e.getFlag("auraeffects", "fromAura"), e.origin].includes(sourceEffect.uuid));
-    const shouldApply = auraShouldApply(sourceEffect, token);
-    if (existingEffect && !shouldApply) toRemove.push(existingEffect);
-    else if (!existingEffect && shouldApply) toAdd.push(sourceEffect.uuid);
-  }
-  if (toRemove.length) await removeAndReplaceAuras(toRemove, token.parent);
-  if (toAdd.length) await game.users.activeGM.query("auraeffects.applyAuraEffects", {[token.actor.uuid]: toAdd});
+  const toAdd = {};
+  await collectConditionalChanges(token, toRemove, toAdd);
+  await removeAndReplaceAuras(toRemove, token.parent, toAdd);
 }
 
 /**
  * Get region creation data from an aura effect and a given token
  * @param {ActiveEffect} effect 
  * @param {TokenDocument} token
+ * @param {number|null} [band=null]   The index of the aura's band to create the region for, or null for its base band
  * @returns {RegionData}
  */
-function getRegionDataFromEffect(effect, token) {
+function getRegionDataFromEffect(effect, token, band = null) {
   if (effect.type !== "auraeffects.aura") return {};
   const tokenOwner = game.users.getDesignatedUser(u => u.character === token.actor) ?? game.users.activeGM
   const restriction = {enabled: false};
@@ -236,6 +1185,7 @@ function getRegionDataFromEffect(effect, token) {
     restriction.enabled = true;
     restriction.type = effect.system.collisionType;
   }
+  const distance = effect.system.getBandDistance(band);
   const regionData = {
     attachment: {
       token: token.id
@@ -243,41 +1193,179 @@ function getRegionDataFromEffect(effect, token) {
     color: (effect.system.color ?? tokenOwner?.color)?.css,
     displayMeasurements: false,
     flags: {
-      "auraeffects.origin": effect.uuid
+      auraeffects: {
+        origin: effect.uuid,
+        band
+      }
     },
-    highlightMode: game.settings.get("auraeffects", "highlightMode"),
-    levels: [token.level],
+    highlightMode: getRegionHighlightMode(effect),
+    elevation: getRegionElevation(effect, token, distance),
+    levels: getRegionLevels(effect, token),
     locked: true,
     name: effect.name,
     restriction,
-    shapes: [{
-      type: "emanation",
-      base: {
-        type: "token",
-        x: token._source.x,
-        y: token._source.y,
-        width: token._source.width,
-        height: token._source.height,
-        shape: token._source.shape
-      },
-      gridBased: true,
-      hole: false,
-      radius: token.parent.dimensions.distancePixels * effect.system.distance
-    }],
-    visibility: effect.system.showRadius ? CONST.REGION_VISIBILITY.ALWAYS : CONST.REGION_VISIBILITY.LAYER_UNLOCKED
+    shapes: getRegionShapes(effect, token, distance),
+    // Shown radii are drawn by each client's aura layer instead, according to the aura's audience
+    visibility: CONST.REGION_VISIBILITY.LAYER_UNLOCKED
   };
   return regionData;
 }
 
+/**
+ * Get how an aura effect's regions should be highlighted, falling back to the world's setting
+ * @param {ActiveEffect} effect
+ * @returns {string}
+ */
+function getRegionHighlightMode(effect) {
+  return effect.system.highlightMode || game.settings.get("auraeffects", "highlightMode");
+}
+
+/**
+ * Get the vertical bounds of an aura effect's region, relative to the elevation of the given token
+ * @param {ActiveEffect} effect 
+ * @param {TokenDocument} token
+ * @param {number} distance       The radius of the region
+ * @returns {{bottom: number|null, top: number|null}}
+ */
+function getRegionElevation(effect, token, distance) {
+  if (effect.system.verticalShape === VERTICAL_SHAPES.NONE) return { bottom: null, top: null };
+  const extent = (effect.system.verticalShape === VERTICAL_SHAPES.SPHERE) ? distance : effect.system.height;
+  return {
+    bottom: token._source.elevation - extent,
+    top: token._source.elevation + extent
+  };
+}
+
+/**
+ * Get the IDs of the scene levels an aura effect's region should span, centered on the given token's level
+ * @param {ActiveEffect} effect 
+ * @param {TokenDocument} token
+ * @returns {string[]}
+ */
+function getRegionLevels(effect, token) {
+  const range = effect.system.levelRange;
+  if (!range) return [token.level];
+  const levels = token.parent.levels.contents.sort((a, b) => (a.elevation?.bottom ?? 0) - (b.elevation?.bottom ?? 0));
+  const index = levels.findIndex(l => l.id === token.level);
+  if (index === -1) return [token.level];
+  return levels.slice(Math.max(0, index - range), index + range + 1).map(l => l.id);
+}
+
+/**
+ * Get the region shapes for an aura effect emanating from a given token, oriented by the token's rotation
+ * @param {ActiveEffect} effect 
+ * @param {TokenDocument} token
+ * @param {number} distance       The radius (or length) of the region
+ * @returns {RegionShapeData[]}
+ */
+function getRegionShapes(effect, token, distance) {
+  const distancePixels = token.parent.dimensions.distancePixels;
+  const length = distancePixels * distance;
+  const width = distancePixels * effect.system.width;
+  const center = token.getCenterPoint(token._source);
+  // A token with 0 rotation faces down, whereas a shape with 0 rotation points right
+  const rotation = Math.normalizeDegrees(token._source.rotation + 90);
+  switch (effect.system.shape) {
+    case AURA_SHAPES.CONE:
+      return [{
+        type: "cone",
+        x: center.x,
+        y: center.y,
+        radius: length,
+        angle: effect.system.angle,
+        rotation,
+        gridBased: true,
+        hole: false
+      }];
+    case AURA_SHAPES.LINE:
+      return [{
+        type: "line",
+        x: center.x,
+        y: center.y,
+        length,
+        width,
+        rotation,
+        gridBased: true,
+        hole: false
+      }];
+    case AURA_SHAPES.RECTANGLE:
+      // Centered on the token, with its length running along the token's facing
+      return [{
+        type: "rectangle",
+        x: center.x - (length / 2),
+        y: center.y - (width / 2),
+        width: length,
+        height: width,
+        rotation,
+        gridBased: true,
+        hole: false
+      }];
+    default:
+      return [{
+        type: "emanation",
+        base: {
+          type: "token",
+          x: token._source.x,
+          y: token._source.y,
+          width: token._source.width,
+          height: token._source.height,
+          shape: token._source.shape
+        },
+        gridBased: true,
+        hole: false,
+        radius: length
+      }];
+  }
+}
+
 export {
+  applyRadiusModifiers,
+  collectConditionalChanges,
+  collectRecipientChanges,
+  collectUpdatedRegionChanges,
+  compareAuras,
   getAllAuraEffects,
+  getAppliedStackKey,
+  getAuraBestValue,
+  getAuraBand,
+  getAuraModifiers,
+  getAuraRelationships,
+  getAuraRegionChanges,
   getAuraRegions,
+  getAuraSourceUuid,
+  getStaticAuraEffects,
+  hasOutdatedValues,
   getExtendedParts,
   getExtendedTabs,
   executeScript,
+  filterApplicableSources,
+  findAppliedAura,
+  getAppliedEffectData,
+  getAppliedSourceKey,
+  getAuraSourceKey,
+  getRegionSourceKey,
+  isAppliedFromSource,
+  parseAuraSourceKey,
+  resolveAuraSource,
+  runQuery,
+  getAuraApplicationFailure,
+  getScriptSyntaxError,
+  lingerOrRemoveAuras,
+  measureTokenDistance,
   removeAndReplaceAuras,
   updateAllAuraRegions,
+  updateTileAuraRegion,
   getRegionDataFromEffect,
+  getRegionHighlightMode,
+  getSourceToken,
+  isAuraModifierKey,
+  isStaticAuraRegion,
+  isSuppressedByModifiers,
+  modifiesAuras,
+  previewAura,
   refreshConditionalAuras,
+  refreshStaticAura,
+  removeExpiredAuras,
+  runAuraTriggers,
   auraShouldApply
 };
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { TIE_BREAKERS } from "./constants.mjs";
+
 export async function migrate() {
   const sortedMigrations = Object.entries(migrations).sort((a, b) => {
     return foundry.utils.isNewerVersion(b[0], a[0]) ? -1 : 1;
@@ -27,5 +29,14 @@ const migrations = {
         content: _loc("AURAEFFECTS.Migrations.ActiveAurasChatMessage")
       })
     }
+  },
+  "2.3.0": {
+    alert: false,
+    migrateFunction: async () => {
+      // "Prefer Most Recent Aura" has been replaced by a deterministic tie-breaker; the closest source is the nearest
+      // equivalent to whichever aura was most recently (i.e. upon moving into range) applied
+      const preferLatest = game.settings.storage.get("world").find(s => s.key === "auraeffects.preferLatest")?.value;
+      if (preferLatest) await game.settings.set("auraeffects", "tieBreaker", TIE_BREAKERS.CLOSEST);
+    }
   }
 }
\ No newline at end of file
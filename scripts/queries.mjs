@@ -1,3 +1,12 @@
+import { TRIGGER_ACTIONS, TRIGGER_FREQUENCIES } from "./constants.mjs";
+import { logAuraChanges } from "./chatLog.mjs";
+import { getAuraRollData } from "./systems/adapters.mjs";
+import { compareAuras, findAppliedAura, getAppliedEffectData, getAppliedSourceKey, getAppliedStackKey, getAuraBand, getAuraSourceKey, getAuraSourceUuid, getSourceToken, hasOutdatedValues, resolveAuraSource } from "./helpers.mjs";
+
+/** @import { ActiveEffect, Actor, TokenDocument } from "@client/documents/_module.mjs" */
+/** @import { RegionData } from "@common/documents/_types.mjs" */
+/** @import { RegionChanges } from "./helpers.mjs" */
+
 const gmQueue = new foundry.utils.Semaphore();
 
 /**
@@ -8,9 +17,20 @@ const gmQueue = new foundry.utils.Semaphore();
  */
 async function deleteEffects({ effectUuids }) {
   const disableAnimation = game.settings.get("auraeffects", "disableScrollingText");
-  await gmQueue.add(() => {
+  await gmQueue.add(async () => {
     const effects = new Set(effectUuids.map(uuid => fromUuidSync(uuid))).filter(e => e instanceof ActiveEffect);
-    return Promise.all(effects.map(e => e.delete({ animate: !disableAnimation })));
+    const removals = [];
+    for (const effect of effects) {
+      const actor = (effect.parent instanceof Actor) ? effect.parent : null;
+      const { sourceEffect, sourceToken } = getAppliedSource(effect, actor);
+      if (Hooks.call("auraeffects.preRemoveAura", sourceEffect, sourceToken, actor, effect) === false) continue;
+      removals.push([sourceEffect, sourceToken, actor, effect]);
+    }
+    await Promise.all(removals.map(([, , , effect]) => effect.delete({ animate: !disableAnimation })));
+    for (const removal of removals) Hooks.callAll("auraeffects.removeAura", ...removal);
+    logAuraChanges(removals
+      .filter(([, , actor, effect]) => actor && effect.getFlag("auraeffects", "fromAura"))
+      .map(([sourceEffect, sourceToken, actor, effect]) => ({ actor, effect, sourceEffect, sourceToken, key: getAppliedSourceKey(effect), gained: false })));
   });
   return true;
 }
@@ -19,60 +39,94 @@ async function deleteEffects({ effectUuids }) {
  * Create potentially multiple Active Effects on potentially multiple Actors, modifying the provided effects as
  * necessary for "aura effect" treatment and skipping effects which already exist; also choosing best of multiple
  * if a non-stacking effect, so that only one is applied
- * @param {Object<string, string[]>} actorToEffectsMap  An object with Actor UUIDs as keys, and lists of ActiveEffect UUIDs as values
+ * @param {Object} data                                 Query input data
+ * @param {string} data.sceneId                         The id of the scene the recipients' tokens are on
+ * @param {Object<string, string[]>} data.actorToEffectsMap   An object with Actor UUIDs as keys, and lists of aura
+ *                                                      source keys (or plain source ActiveEffect UUIDs) as values
  * @returns {Promise<boolean>}                          true
  */
-async function applyAuraEffects(actorToEffectsMap) {
+async function applyAuraEffects({ sceneId, actorToEffectsMap }) {
+  const scene = game.scenes.get(sceneId);
   const disableAnimation = game.settings.get("auraeffects", "disableScrollingText");
-  await gmQueue.add(() => {
+  await gmQueue.add(async () => {
     const allBatchOperations = [];
+    const allApplied = [];
+    const allReplaced = [];
     for (const [actorUuid, effectUuids] of Object.entries(actorToEffectsMap)) {
       const actor = fromUuidSync(actorUuid);
       const batchCreate = [];
+      const batchUpdate = [];
       const batchDelete = [];
       const allEffects = actor.effects;
-      for (const uuid of effectUuids) {
-        // TODO: For version 3.0, simplify this with the assumption that the old boolean-style fromAura flags are gone
-        if (allEffects.some(e => [e.getFlag("auraeffects", "fromAura"), e.origin].includes(uuid))) continue;
-        const effect = fromUuidSync(uuid);
-        if (!effect) continue;
-        const effectData = foundry.utils.mergeObject(effect.toObject(), {
-          name: effect.system.overrideName?.trim() || effect.name,
-          origin: uuid,
-          type: effect.getFlag("auraeffects", "originalType") ?? "base",
-          transfer: false,
-          "flags.auraeffects.fromAura": uuid
-        });
-        if (!effect.system.canStack) {
-          const bestValue = new Roll(effect.system.bestFormula.trim() || "0", effect.parent?.getRollData?.()).evaluateSync().total;
-          foundry.utils.setProperty(effectData, "flags.auraeffects.bestValue", bestValue);
-          const existingEffect = allEffects.find(e => e.flags?.auraeffects?.fromAura && e.name === effectData.name);
-          if (existingEffect) {
-            const currBest = existingEffect.flags.auraeffects.bestValue ?? 0;
-            if (!game.settings.get("auraeffects", "preferLatest") && (currBest >= bestValue)) continue;
-            else if (currBest > bestValue) continue;
-            batchDelete.push(existingEffect.id);
+      // The recipient's token on the scene in question, which need not be the one the GM is viewing
+      const targetToken = actor.token ?? scene?.tokens.find(t => t.actor === actor);
+      for (const key of new Set(effectUuids)) {
+        const { effect, sourceToken: keyedToken } = resolveAuraSource(key);
+        // Without a specific token, the aura is treated as coming from the first token of its actor (if any)
+        const sourceToken = keyedToken ?? (effect ? findSourceToken(effect, actor) : undefined);
+        const sourceKey = effect ? getAuraSourceKey(effect.uuid, sourceToken?.uuid) : key;
+        const band = (effect && targetToken) ? getAuraBand(effect, targetToken, keyedToken) : null;
+        const alreadyApplied = findAppliedAura(actor, key);
+        if (alreadyApplied) {
+          if (!effect) continue;
+          const update = { _id: alreadyApplied.id };
+          // Re-entering a lingering aura's region refreshes it, rather than creating a duplicate
+          if (alreadyApplied.getFlag("auraeffects", "lingering")) Object.assign(update, {
+            duration: effect.toObject().duration,
+            "flags.auraeffects.lingering": _del
+          });
+          // Moving between bands, or a change in the values evaluated from the source's roll data, swaps the applied
+          // changes in place
+          const effectData = getAppliedEffectData(effect, band, actor, sourceToken);
+          const bandChanged = (alreadyApplied.getFlag("auraeffects", "band") ?? null) !== band;
+          if (bandChanged || (effect.system.dependencies.values && hasOutdatedValues(alreadyApplied, effectData))) {
+            const changesPath = effectData.system?.changes ? "system.changes" : "changes";
+            Object.assign(update, {
+              [changesPath]: foundry.utils.getProperty(effectData, changesPath),
+              "flags.auraeffects.band": band,
+              "flags.auraeffects.bestValue": effectData.flags.auraeffects.bestValue
+            });
           }
+          if (Object.keys(update).length > 1) batchUpdate.push(update);
+          continue;
         }
-        const changes = effectData.system.changes ?? effectData.changes;
-        if (game.modules.get("dae")?.active) {
-          for (const change of changes) {
-            if (typeof change.value !== "string") continue;
-            change.value = Roll.replaceFormulaData(change.value, effect.parent?.getRollData?.());
-            change.value = change.value.replaceAll("##", "@");
-          }
-        } else if (effect.system.evaluatePreApply) {
-          for (const change of changes) {
-            if (typeof change.value !== "string") continue;
-            change.value = Roll.replaceFormulaData(change.value, effect.parent?.getRollData?.());
+        if (!effect) continue;
+        // Also skip sources which have already been queued for creation in this batch
+        if (batchCreate.some(data => getPendingSourceKey(data) === sourceKey)) continue;
+        const effectData = getAppliedEffectData(effect, band, actor, sourceToken);
+        let toReplace;
+        let toOutdo;
+        // A full stacking group only admits a new aura in place of the weakest one already in it
+        if (Number.isFinite(effect.system.maxStacks)) {
+          const { bestValue, stackGroup } = effectData.flags.auraeffects;
+          const existingEffects = allEffects.filter(e => e.flags?.auraeffects?.fromAura && !batchDelete.includes(e.id) && (getAppliedStackKey(e) === stackGroup));
+          const pendingEffects = batchCreate.filter(e => e.flags.auraeffects.stackGroup === stackGroup);
+          if ((existingEffects.length + pendingEffects.length) >= effect.system.maxStacks) {
+            const competitors = existingEffects
+              .map(e => ({
+                uuid: getAuraSourceUuid(e),
+                key: getAppliedSourceKey(e),
+                bestValue: e.flags.auraeffects.bestValue ?? 0,
+                lingering: !!e.flags.auraeffects.lingering,
+                applied: true,
+                id: e.id
+              }))
+              .concat(pendingEffects.map(data => ({ uuid: data.flags.auraeffects.fromAura, key: getPendingSourceKey(data), bestValue: data.flags.auraeffects.bestValue, data })));
+            const weakest = competitors.reduce((weakest, c) => (!weakest || (compareAuras(c, weakest, targetToken) < 0)) ? c : weakest, null);
+            // Equal auras never replace an applied one, so re-evaluating can't swap back and forth between them
+            if (compareAuras({ uuid: effect.uuid, key: sourceKey, bestValue }, weakest, targetToken) <= 0) continue;
+            if (weakest.applied) toReplace = weakest.id;
+            else toOutdo = weakest.data;
           }
         }
         if (actor === effect.actor) effectData.showIcon = CONST.ACTIVE_EFFECT_SHOW_ICON.NEVER;
-        const existing = batchCreate.find(e => e.name === effect.name);
-        const existingBestValue = existing?.flags.auraeffects.bestValue;
-        if (existingBestValue === undefined) batchCreate.push(effectData);
-        else if (effect.flags.auraeffects.bestValue > existingBestValue) batchCreate.findSplice(e => e === existing, effect);
+        // Give other modules a chance to modify or cancel the application
+        if (Hooks.call("auraeffects.preApplyAura", effect, sourceToken, actor, effectData) === false) continue;
+        if (toReplace) batchDelete.push(toReplace);
+        if (toOutdo) batchCreate.findSplice(e => e === toOutdo, effectData);
+        else batchCreate.push(effectData);
       }
+      allReplaced.push(...batchDelete.map(id => [actor, allEffects.get(id)]));
       if (batchDelete.length) allBatchOperations.push({
         action: "delete",
         documentName: "ActiveEffect",
@@ -80,6 +134,12 @@ async function applyAuraEffects(actorToEffectsMap) {
         ids: batchDelete,
         animate: !disableAnimation
       });
+      if (batchUpdate.length) allBatchOperations.push({
+        action: "update",
+        documentName: "ActiveEffect",
+        parent: actor,
+        updates: batchUpdate
+      });
       if (batchCreate.length) allBatchOperations.push({
         action: "create",
         documentName: "ActiveEffect",
@@ -87,7 +147,59 @@ async function applyAuraEffects(actorToEffectsMap) {
         data: batchCreate,
         animate: !disableAnimation
       });
+      allApplied.push(...batchCreate.map(data => [actor, getPendingSourceKey(data)]));
+    }
+    if (!allBatchOperations.length) return;
+    // Stack-limited auras replaced by stronger ones are lost, so record their sources while they still exist
+    const changes = allReplaced.map(([actor, effect]) => ({ actor, effect, ...getAppliedSource(effect, actor), key: getAppliedSourceKey(effect), gained: false }));
+    await foundry.documents.modifyBatch(allBatchOperations);
+    for (const [actor, sourceKey] of allApplied) {
+      const appliedEffect = findAppliedAura(actor, sourceKey);
+      if (!appliedEffect) continue;
+      const { sourceEffect, sourceToken } = getAppliedSource(appliedEffect, actor);
+      Hooks.callAll("auraeffects.applyAura", sourceEffect, sourceToken, actor, appliedEffect);
+      changes.push({ actor, effect: appliedEffect, sourceEffect, sourceToken, key: sourceKey, gained: true });
+    }
+    logAuraChanges(changes);
+  });
+  return true;
+}
+
+/**
+ * Convert the applied aura effects whose UUIDs are provided into timed effects which linger for the duration
+ * configured on their source aura, rather than deleting them
+ * @param {Object} data                 Query input data
+ * @param {string[]} data.effectUuids   A list of UUIDs for each applied aura effect that should linger
+ * @returns {Promise<boolean>}          true
+ */
+async function lingerEffects({ effectUuids }) {
+  await gmQueue.add(() => {
+    const updatesByActor = new Map();
+    for (const uuid of effectUuids) {
+      const effect = fromUuidSync(uuid);
+      if (!(effect instanceof ActiveEffect) || !(effect.parent instanceof Actor)) continue;
+      const sourceEffect = fromUuidSync(getAuraSourceUuid(effect));
+      if (!sourceEffect?.system.lingerDuration) continue;
+      const { lingerDuration, lingerUnits } = sourceEffect.system;
+      const combat = game.combat;
+      const duration = {
+        startTime: game.time.worldTime,
+        [lingerUnits]: lingerDuration
+      };
+      if (combat) Object.assign(duration, { combat: combat.id, startRound: combat.round, startTurn: combat.turn ?? 0 });
+      if (!updatesByActor.has(effect.parent)) updatesByActor.set(effect.parent, []);
+      updatesByActor.get(effect.parent).push({
+        _id: effect.id,
+        duration,
+        "flags.auraeffects.lingering": true
+      });
     }
+    const allBatchOperations = Array.from(updatesByActor.entries()).map(([actor, updates]) => ({
+      action: "update",
+      documentName: "ActiveEffect",
+      parent: actor,
+      updates
+    }));
     if (allBatchOperations.length) return foundry.documents.modifyBatch(allBatchOperations);
   });
   return true;
@@ -101,37 +213,223 @@ async function applyAuraEffects(actorToEffectsMap) {
  * @param {string[]} toDelete 
  */
 async function updateRegionsForToken({tokenUuid, toCreate, toUpdate, toDelete}) {
-  const token = await fromUuid(tokenUuid);
-  const scene = token?.parent;
-  if ( !scene ) return;
+  return updateAuraRegions({ changes: [{ tokenUuid, toCreate, toUpdate, toDelete }] });
+}
+
+/**
+ * For any number of tokens on a scene, batch region creation, update, and deletion into a single operation
+ * @param {Object} data                 Query input data
+ * @param {RegionChanges[]} data.changes  The region changes for each token
+ * @returns {Promise<boolean>}          true
+ */
+async function updateAuraRegions({ changes }) {
   const batchOperations = [];
-  if ( toCreate.length ) batchOperations.push({
-    action: "create",
-    documentName: "Region",
-    parent: scene,
-    data: toCreate
-  });
-  if ( toUpdate.length ) batchOperations.push({
-    action: "update",
-    documentName: "Region",
-    parent: scene,
-    updates: toUpdate
-  });
-  if ( toDelete.length ) batchOperations.push({
-    action: "delete",
-    documentName: "Region",
-    parent: scene,
-    ids: toDelete
-  });
-  if ( !batchOperations.length ) return;
-  await gmQueue.add(() => {
-    foundry.documents.modifyBatch(batchOperations);
+  const created = [];
+  const updated = [];
+  for (let { tokenUuid, sceneUuid, toCreate, toUpdate, toDelete } of changes) {
+    // Tiles' regions have no token
+    const token = tokenUuid ? await fromUuid(tokenUuid) : null;
+    const scene = tokenUuid ? token?.parent : await fromUuid(sceneUuid);
+    if ( !scene ) continue;
+    // Give other modules a chance to modify or cancel region changes
+    toCreate = toCreate.filter(data => Hooks.call("auraeffects.preCreateAuraRegion", getRegionSourceEffect(data), token, data) !== false);
+    toUpdate = toUpdate.filter(data => Hooks.call("auraeffects.preUpdateAuraRegion", getRegionSourceEffect(data), token, data) !== false);
+    if ( toCreate.length ) batchOperations.push({
+      action: "create",
+      documentName: "Region",
+      parent: scene,
+      data: toCreate
+    });
+    if ( toUpdate.length ) batchOperations.push({
+      action: "update",
+      documentName: "Region",
+      parent: scene,
+      updates: toUpdate
+    });
+    if ( toDelete.length ) batchOperations.push({
+      action: "delete",
+      documentName: "Region",
+      parent: scene,
+      ids: toDelete
+    });
+    created.push(...toCreate.map(data => [scene, token, data]));
+    updated.push(...toUpdate.map(data => [scene, token, data]));
+  }
+  if ( !batchOperations.length ) return true;
+  await gmQueue.add(() => foundry.documents.modifyBatch(batchOperations));
+  for (const [scene, token, data] of created) {
+    const origin = foundry.utils.getProperty(data, "flags.auraeffects.origin");
+    const band = foundry.utils.getProperty(data, "flags.auraeffects.band") ?? null;
+    const tileId = foundry.utils.getProperty(data, "flags.auraeffects.tile");
+    const region = token
+      ? token.attachments.regions.find(r => (r.getFlag("auraeffects", "origin") === origin) && ((r.getFlag("auraeffects", "band") ?? null) === band))
+      : scene.regions.find(r => r.getFlag("auraeffects", "tile") === tileId);
+    if (region) Hooks.callAll("auraeffects.createAuraRegion", getRegionSourceEffect(data), token, region);
+  }
+  for (const [scene, token, data] of updated) {
+    const region = scene.regions.get(data._id);
+    if (region) Hooks.callAll("auraeffects.updateAuraRegion", getRegionSourceEffect(data), token, region);
+  }
+  return true;
+}
+
+/**
+ * Get the source aura effect of the given region data
+ * @param {RegionData} data
+ * @returns {ActiveEffect|null}
+ */
+function getRegionSourceEffect(data) {
+  return fromUuidSync(foundry.utils.getProperty(data, "flags.auraeffects.origin"));
+}
+
+/**
+ * Get the aura source key of applied effect data which has yet to be created
+ * @param {Object} data   The applied effect data
+ * @returns {string}
+ */
+function getPendingSourceKey(data) {
+  return getAuraSourceKey(data.flags.auraeffects.fromAura, data.flags.auraeffects.sourceToken);
+}
+
+/**
+ * Get the source aura effect & token an applied effect came from, falling back to the first token of the source
+ * effect's actor for effects applied before source tokens were recorded
+ * @param {ActiveEffect} effect   The applied effect
+ * @param {Actor|null} actor      The actor the effect is applied to
+ * @returns {{sourceEffect: ActiveEffect|null, sourceToken: TokenDocument|undefined}}
+ */
+function getAppliedSource(effect, actor) {
+  const sourceUuid = getAuraSourceUuid(effect);
+  if (!sourceUuid) return { sourceEffect: null, sourceToken: undefined };
+  const { effect: sourceEffect, sourceToken } = resolveAuraSource(getAppliedSourceKey(effect));
+  return { sourceEffect, sourceToken: sourceToken ?? ((sourceEffect && actor) ? findSourceToken(sourceEffect, actor) : undefined) };
+}
+
+/**
+ * Find the token from which an aura effect is emanating, on the scene of the given actor's token
+ * @param {ActiveEffect} sourceEffect   The source aura effect
+ * @param {Actor} actor                 The actor receiving (or losing) the aura
+ * @returns {TokenDocument|undefined}
+ */
+function findSourceToken(sourceEffect, actor) {
+  const [token] = actor.getActiveTokens(false, true);
+  if (!sourceEffect || !token) return;
+  return getSourceToken(sourceEffect, token.parent);
+}
+
+/**
+ * Run the triggers of aura effects which respond to a given event, for each of the provided tokens
+ * @param {Object} data                                       Query input data
+ * @param {string} data.event                                 The triggering event (see TRIGGER_EVENTS)
+ * @param {{effectUuid: string, tokenUuid: string, sourceTokenUuid?: string}[]} data.triggered  The source aura effects
+ *                                                           & tokens to run triggers for, along with the token emitting
+ *                                                           each aura, if any
+ * @returns {Promise<boolean>}                                true
+ */
+async function executeTriggers({ event, triggered }) {
+  await gmQueue.add(async () => {
+    for (const { effectUuid, tokenUuid, sourceTokenUuid } of triggered) {
+      const effect = fromUuidSync(effectUuid);
+      const token = fromUuidSync(tokenUuid);
+      if (!(effect instanceof ActiveEffect) || !token?.actor) continue;
+      const sourceToken = sourceTokenUuid ? fromUuidSync(sourceTokenUuid) : getSourceToken(effect, token.parent);
+      for (const [index, trigger] of effect.system.triggers.entries()) {
+        if (trigger.event !== event) continue;
+        if (!await claimTrigger(effect, index, trigger, token, sourceToken)) continue;
+        try {
+          await executeTrigger(trigger, effect, token, event, sourceToken);
+        } catch (error) {
+          console.error(_loc("AURAEFFECTS.Errors.TriggerError", {
+            actor: effect.actor?.name,
+            effect: effect.name,
+            error
+          }));
+        }
+      }
+    }
   });
   return true;
 }
 
+/**
+ * Check whether a trigger is allowed to fire for a token given its frequency, recording the current combat turn on
+ * the combat if so
+ * @param {ActiveEffect} effect   The source aura effect
+ * @param {number} index          The index of the trigger within the effect's triggers
+ * @param {Object} trigger        The trigger
+ * @param {TokenDocument} token   The token the trigger would fire for
+ * @param {TokenDocument} [sourceToken]   The token emitting the aura, if any
+ * @returns {Promise<boolean>}    Whether the trigger may fire
+ */
+async function claimTrigger(effect, index, trigger, token, sourceToken) {
+  if (trigger.frequency === TRIGGER_FREQUENCIES.ALWAYS) return true;
+  // Outside of combat, there are no turns or rounds to limit by
+  const combat = game.combats.find(c => c.started && c.getCombatantsByToken(token).length);
+  if (!combat) return true;
+  // Each aura source (e.g. each unlinked token's copy of an aura) has its own history for each recipient. Flag keys
+  // can't contain periods, so those of the uuids are replaced
+  const key = `${getAuraSourceKey(effect.uuid, sourceToken?.uuid)}|${index}|${token.uuid}`.replaceAll(".", "-");
+  const history = combat.getFlag("auraeffects", "triggerHistory") ?? {};
+  const last = history[key];
+  if (last?.round === combat.round) {
+    if (trigger.frequency === TRIGGER_FREQUENCIES.ROUND) return false;
+    if (last.turn === combat.turn) return false;
+  }
+  // Only the current round's history matters, so earlier rounds' entries are dropped
+  const update = { [`flags.auraeffects.triggerHistory.${key}`]: { round: combat.round, turn: combat.turn } };
+  for (const [k, entry] of Object.entries(history)) {
+    if ((k !== key) && (entry?.round !== combat.round)) update[`flags.auraeffects.triggerHistory.-=${k}`] = null;
+  }
+  await combat.update(update);
+  return true;
+}
+
+/**
+ * Perform a single trigger's action
+ * @param {Object} trigger        The trigger
+ * @param {ActiveEffect} effect   The source aura effect
+ * @param {TokenDocument} token   The token the trigger is firing for
+ * @param {string} event          The triggering event
+ * @param {TokenDocument} [sourceToken]   The token emitting the aura, if any
+ */
+async function executeTrigger(trigger, effect, token, event, sourceToken) {
+  switch (trigger.action) {
+    case TRIGGER_ACTIONS.MACRO: {
+      const macro = await fromUuid(trigger.macro);
+      return macro?.execute({
+        actor: token.actor,
+        token: token.object,
+        sourceEffect: effect,
+        sourceToken: sourceToken?.object,
+        event
+      });
+    }
+    case TRIGGER_ACTIONS.ROLL: {
+      if (!trigger.formula.trim()) return;
+      const roll = await new Roll(trigger.formula, getAuraRollData(effect.parent)).evaluate();
+      return roll.toMessage({
+        speaker: ChatMessage.implementation.getSpeaker({ token: sourceToken }),
+        flavor: _loc("AURAEFFECTS.Triggers.RollFlavor", { effect: effect.name, target: token.name })
+      });
+    }
+    case TRIGGER_ACTIONS.EFFECT: {
+      const triggeredEffect = await fromUuid(trigger.effect);
+      if (!(triggeredEffect instanceof ActiveEffect)) return;
+      const effectData = foundry.utils.mergeObject(triggeredEffect.toObject(), {
+        origin: effect.uuid,
+        transfer: false,
+        "flags.auraeffects.fromTrigger": effect.uuid
+      });
+      return token.actor.createEmbeddedDocuments("ActiveEffect", [effectData]);
+    }
+  }
+}
+
 export {
   applyAuraEffects,
   deleteEffects,
+  executeTriggers,
+  lingerEffects,
+  updateAuraRegions,
   updateRegionsForToken
 };
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { collectRecipientChanges, getAllAuraEffects, getAppliedSourceKey, getAuraRegionChanges, getAuraSourceKey, isStaticAuraRegion, parseAuraSourceKey, removeAndReplaceAuras, resolveAuraSource, runQuery, updateTileAuraRegion } from "./helpers.mjs";
+import { flushAuraUpdates } from "./batching.mjs";
+
+/** @import { ActiveEffect, RegionDocument, Scene } from "@client/documents/_module.mjs" */
+
+/**
+ * @typedef {Object} RebuildReport
+ * @property {number} regionsCreated    Aura regions which were missing, and so created
+ * @property {number} regionsDeleted    Aura regions which were orphaned or no longer needed, and so deleted
+ * @property {number} sourcesCleared    Placed regions whose aura source effect no longer exists, and so was cleared
+ * @property {number} effectsApplied    Aura effects which were missing from their recipients, and so applied
+ * @property {number} effectsRemoved    Aura effects which were orphaned or no longer apply, and so removed
+ */
+
+/**
+ * Recompute every aura region and applied aura effect on a scene from scratch, deleting any left orphaned, e.g. by a
+ * missed hook, an interrupted query, or an imported scene
+ * @param {Scene} [scene=canvas.scene]
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false]   Only notify the user of the results if anything changed
+ * @returns {Promise<RebuildReport|null>}   What was changed, or null if the rebuild could not be performed
+ */
+async function rebuildAuras(scene = canvas.scene, { quiet = false } = {}) {
+  if (!scene) return null;
+  if (!game.user.isGM) {
+    ui.notifications.warn("AURAEFFECTS.Rebuild.GMOnly", { localize: true });
+    return null;
+  }
+  // Let any queued changes finish first, so they can't undo the rebuild
+  await flushAuraUpdates(scene);
+  const regionsBefore = getAuraRegionIds(scene);
+  const effectsBefore = getAppliedEffectUuids(scene);
+
+  // Orphaned regions
+  const orphans = [];
+  const toClear = [];
+  for (const region of scene.regions) {
+    const orphan = getOrphanReason(region);
+    if (orphan === "delete") orphans.push(region.id);
+    else if (orphan === "clear") toClear.push({ _id: region.id, "flags.auraeffects.-=origin": null });
+  }
+  if (orphans.length) await scene.deleteEmbeddedDocuments("Region", orphans, { _auraRebuild: true });
+  if (toClear.length) await scene.updateEmbeddedDocuments("Region", toClear);
+
+  // Regions of tiles & tokens
+  for (const tile of scene.tiles) {
+    if (tile.getFlag("auraeffects", "origin")) await updateTileAuraRegion(tile);
+  }
+  const regionChanges = scene.tokens.filter(t => t.actor).map(t => getAuraRegionChanges(t));
+  if (regionChanges.some(c => c.toCreate.length || c.toUpdate.length || c.toDelete.length)) {
+    await runQuery("auraeffects.updateAuraRegions", { changes: regionChanges }, { scene });
+  }
+
+  // Applied effects, for every aura source on the scene
+  const toRemove = [];
+  const toAdd = {};
+  const keys = new Set();
+  for (const token of scene.tokens) {
+    if (!token.actor) continue;
+    // Inactive auras are included, so that their effects are removed
+    for (const effect of getAllAuraEffects(token.actor).flat()) keys.add(getAuraSourceKey(effect.uuid, token.uuid));
+  }
+  for (const region of scene.regions) {
+    if (isStaticAuraRegion(region)) keys.add(region.getFlag("auraeffects", "origin"));
+  }
+  for (const effect of getAppliedEffects(scene)) {
+    if (effect.getFlag("auraeffects", "lingering")) continue;
+    const key = getAppliedSourceKey(effect);
+    const { effect: sourceEffect, sourceToken } = resolveAuraSource(key);
+    if ((sourceEffect?.type !== "auraeffects.aura") || (parseAuraSourceKey(key).tokenUuid && !sourceToken)) toRemove.push(effect);
+    // Static auras whose regions are gone
+    else if (!sourceEffect.actor) keys.add(key);
+  }
+  for (const key of keys) {
+    const { effect, sourceToken } = resolveAuraSource(key);
+    if (effect?.type === "auraeffects.aura") await collectRecipientChanges(effect, scene, toRemove, toAdd, sourceToken);
+  }
+  await removeAndReplaceAuras(toRemove, scene, toAdd);
+
+  const regionsAfter = getAuraRegionIds(scene);
+  const effectsAfter = getAppliedEffectUuids(scene);
+  const countMissing = (from, other) => Array.from(from).filter(i => !other.has(i)).length;
+  const report = {
+    regionsCreated: countMissing(regionsAfter, regionsBefore),
+    regionsDeleted: countMissing(regionsBefore, regionsAfter),
+    sourcesCleared: toClear.length,
+    effectsApplied: countMissing(effectsAfter, effectsBefore),
+    effectsRemoved: countMissing(effectsBefore, effectsAfter)
+  };
+  const changed = Object.values(report).some(Boolean);
+  if (changed) ui.notifications.info("AURAEFFECTS.Rebuild.Report", { format: { scene: scene.name, ...report } });
+  else if (!quiet) ui.notifications.info("AURAEFFECTS.Rebuild.NoChanges", { format: { scene: scene.name } });
+  return report;
+}
+
+/**
+ * Whether an aura region has been orphaned: a generated region whose source effect, token, or tile no longer exists
+ * should be deleted, while a placed region whose source effect no longer exists should merely have its source cleared
+ * @param {RegionDocument} region
+ * @returns {"delete"|"clear"|null}
+ */
+function getOrphanReason(region) {
+  const origin = region.getFlag("auraeffects", "origin");
+  const tileId = region.getFlag("auraeffects", "tile");
+  if (!origin && !tileId) return null;
+  const effect = origin ? fromUuidSync(origin, { strict: false }) : null;
+  const isAura = effect?.type === "auraeffects.aura";
+  if (tileId) return (isAura && region.parent.tiles.has(tileId)) ? null : "delete";
+  // Only token regions record their band
+  if (region.attachment?.token || foundry.utils.hasProperty(region, "flags.auraeffects.band")) {
+    return (isAura && region.attachment?.token && region.parent.tokens.has(region.attachment.token.id)) ? null : "delete";
+  }
+  return isAura ? null : "clear";
+}
+
+/**
+ * Get the ids of every aura region on a scene
+ * @param {Scene} scene
+ * @returns {Set<string>}
+ */
+function getAuraRegionIds(scene) {
+  return new Set(scene.regions.filter(r => r.getFlag("auraeffects", "origin") || r.getFlag("auraeffects", "tile")).map(r => r.id));
+}
+
+/**
+ * Get every aura-applied effect on the actors of a scene's tokens
+ * @param {Scene} scene
+ * @returns {ActiveEffect[]}
+ */
+function getAppliedEffects(scene) {
+  const actors = new Set(scene.tokens.map(t => t.actor).filter(Boolean));
+  return Array.from(actors).flatMap(a => a.effects.filter(e => e.getFlag("auraeffects", "fromAura")));
+}
+
+/**
+ * Get the uuids of every aura-applied effect on the actors of a scene's tokens
+ * @param {Scene} scene
+ * @returns {Set<string>}
+ */
+function getAppliedEffectUuids(scene) {
+  return new Set(getAppliedEffects(scene).map(e => e.uuid));
+}
+
+export {
+  rebuildAuras
+};
\ No newline at end of file
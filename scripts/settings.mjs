@@ -1,3 +1,5 @@
+import { CHAT_LOG_MODES, HIGHLIGHT_MODES, TIE_BREAKERS } from "./constants.mjs";
+
 export function registerSettings() {
   // TODO: What do we wanna do here
   // game.settings.register("auraeffects", "exactCircles", {
@@ -11,9 +13,22 @@ export function registerSettings() {
   //     // if (canvas?.ready) updateAllVisualizations();
   //   }
   // });
-  game.settings.register("auraeffects", "preferLatest", {
-    name: "AURAEFFECTS.SETTINGS.PreferLatest.Name",
-    hint: "AURAEFFECTS.SETTINGS.PreferLatest.Hint",
+  game.settings.register("auraeffects", "tieBreaker", {
+    name: "AURAEFFECTS.SETTINGS.TieBreaker.Name",
+    hint: "AURAEFFECTS.SETTINGS.TieBreaker.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      [TIE_BREAKERS.OLDEST]: "AURAEFFECTS.SETTINGS.TieBreaker.Choices.Oldest",
+      [TIE_BREAKERS.CLOSEST]: "AURAEFFECTS.SETTINGS.TieBreaker.Choices.Closest",
+      [TIE_BREAKERS.SORT]: "AURAEFFECTS.SETTINGS.TieBreaker.Choices.Sort"
+    },
+    default: TIE_BREAKERS.OLDEST
+  });
+  game.settings.register("auraeffects", "ownerApplication", {
+    name: "AURAEFFECTS.SETTINGS.OwnerApplication.Name",
+    hint: "AURAEFFECTS.SETTINGS.OwnerApplication.Hint",
     scope: "world",
     config: true,
     type: Boolean,
@@ -27,6 +42,19 @@ export function registerSettings() {
     type: Boolean,
     default: false
   });
+  game.settings.register("auraeffects", "chatLog", {
+    name: "AURAEFFECTS.SETTINGS.ChatLog.Name",
+    hint: "AURAEFFECTS.SETTINGS.ChatLog.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      [CHAT_LOG_MODES.NONE]: "AURAEFFECTS.ChatLog.Modes.None",
+      [CHAT_LOG_MODES.GM]: "AURAEFFECTS.ChatLog.Modes.GM",
+      [CHAT_LOG_MODES.PUBLIC]: "AURAEFFECTS.ChatLog.Modes.Public"
+    },
+    default: CHAT_LOG_MODES.NONE
+  });
   game.settings.register("auraeffects", "migrationVersion", {
     name: "Migration Version",
     hint: "Tracks the last completed migration. Please do not touch this.",
@@ -58,9 +86,19 @@ export function registerSettings() {
     config: true,
     type: String,
     choices: {
-      shapes: "REGION.HIGHLIGHT_MODES.shapes.label",
-      coverage: "REGION.HIGHLIGHT_MODES.coverage.label"
+      [HIGHLIGHT_MODES.SHAPES]: "REGION.HIGHLIGHT_MODES.shapes.label",
+      [HIGHLIGHT_MODES.COVERAGE]: "REGION.HIGHLIGHT_MODES.coverage.label"
     },
-    default: "coverage"
+    default: HIGHLIGHT_MODES.COVERAGE,
+    onChange: () => canvas.auraeffects?.refresh()
+  });
+  game.settings.register("auraeffects", "hideAuras", {
+    name: "AURAEFFECTS.SETTINGS.HideAuras.Name",
+    hint: "AURAEFFECTS.SETTINGS.HideAuras.Hint",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => canvas.auraeffects?.refresh()
   });
 }
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { findAppliedAura, getAllAuraEffects, getAuraSourceKey, removeAndReplaceAuras } from "../helpers.mjs";
+import dnd4e from "./dnd4e.mjs";
+import dnd5e from "./dnd5e.mjs";
+import pf1 from "./pf1.mjs";
+import swade from "./swade.mjs";
+
+/** @import { Actor, Item } from "@client/documents/_module.mjs" */
+
+/**
+ * @typedef {Object} SystemAdapter
+ * @property {string} id                                        The id of the game system the adapter is for
+ * @property {string[]} [transformationHooks]                   Hooks called with an actor as their first argument when
+ *                                                              it transforms (or reverts), after which any auras it was
+ *                                                              emitting are removed from their recipients
+ * @property {(document: Actor|Item) => object} [getRollData]   The roll data aura formulas of effects on the document
+ *                                                              should use, if not the document's own roll data
+ * @property {(actor: Actor) => string[]} [getCreatureTypes]    The creature types (and subtypes, races, etc.) of an actor
+ * @property {(actor: Actor) => string} [getAlignment]          The alignment of an actor
+ * @property {(actor: Actor) => {value: number, max: number}|null} [getHitPoints]   The current & maximum hit points of
+ *                                                              an actor, if not found at `system.attributes.hp`
+ * @property {string[]} [suppressingStatuses]                   Statuses which suppress the auras of an actor with any of
+ *                                                              them, for auras which are "Suppressed by Conditions"
+ * @property {(flags: object) => string[]} [getActiveAurasConditions]   Conditional script expressions for an Active
+ *                                                              Auras effect's system-specific settings, when migrating
+ * @property {() => void} [registerHooks]                       Register any other hooks the system needs
+ */
+
+/**
+ * System id -> the adapter for that system
+ * @type {Map<string, SystemAdapter>}
+ */
+const adapters = new Map([dnd4e, dnd5e, pf1, swade].map(adapter => [adapter.id, adapter]));
+
+// Hooks are only registered for the current system, once the game is initializing
+let hooksRegistered = false;
+
+/**
+ * Register the adapter for a game system, replacing any existing adapter for that system
+ * @param {SystemAdapter} adapter
+ */
+function registerSystemAdapter(adapter) {
+  if (!adapter?.id) throw new Error(_loc("AURAEFFECTS.Errors.InvalidSystemAdapter"));
+  adapters.set(adapter.id, adapter);
+  if (hooksRegistered && (adapter.id === game.system.id)) registerAdapterHooks(adapter);
+}
+
+/**
+ * Get the adapter for the current game system, if there is one
+ * @returns {SystemAdapter|undefined}
+ */
+function getSystemAdapter() {
+  return adapters.get(game.system.id);
+}
+
+/**
+ * Register the hooks of the current game system's adapter, and of any adapter for it registered later on
+ */
+function registerSystemHooks() {
+  hooksRegistered = true;
+  const adapter = getSystemAdapter();
+  if (adapter) registerAdapterHooks(adapter);
+}
+
+/**
+ * @param {SystemAdapter} adapter
+ */
+function registerAdapterHooks(adapter) {
+  for (const hook of adapter.transformationHooks ?? []) Hooks.on(hook, onTransformation);
+  adapter.registerHooks?.();
+}
+
+/**
+ * Get the roll data which aura formulas of effects on a document should use
+ * @param {Actor|Item|null} document
+ * @returns {object}
+ */
+function getAuraRollData(document) {
+  if (!document) return {};
+  return getSystemAdapter()?.getRollData?.(document) ?? document.getRollData?.() ?? {};
+}
+
+/**
+ * Get the creature types of an actor, lower-cased
+ * @param {Actor|null} actor
+ * @returns {string[]}
+ */
+function getCreatureTypes(actor) {
+  if (!actor) return [];
+  const types = getSystemAdapter()?.getCreatureTypes?.(actor) ?? [];
+  return types.filter(t => (typeof t === "string") && t.length).map(t => t.toLowerCase());
+}
+
+/**
+ * Get the alignment of an actor, lower-cased
+ * @param {Actor|null} actor
+ * @returns {string}
+ */
+function getAlignment(actor) {
+  if (!actor) return "";
+  const alignment = getSystemAdapter()?.getAlignment?.(actor);
+  return (typeof alignment === "string") ? alignment.toLowerCase() : "";
+}
+
+/**
+ * Get the current & maximum hit points of an actor, if it has any
+ * @param {Actor|null} actor
+ * @returns {{value: number, max: number}|null}
+ */
+function getHitPoints(actor) {
+  if (!actor) return null;
+  const adapter = getSystemAdapter();
+  if (adapter?.getHitPoints) return adapter.getHitPoints(actor) ?? null;
+  const hp = actor.system.attributes?.hp;
+  return Number.isFinite(hp?.value) && Number.isFinite(hp?.max) ? { value: hp.value, max: hp.max } : null;
+}
+
+/**
+ * Whether an actor has any status which the current game system says suppresses its auras
+ * @param {Actor|null} actor
+ * @returns {boolean}
+ */
+function hasSuppressingStatus(actor) {
+  const statuses = getSystemAdapter()?.suppressingStatuses ?? [];
+  return !!actor && statuses.some(s => actor.statuses.has(s));
+}
+
+/**
+ * On transformation, nuke any downstream effects
+ * @param {Actor} actor 
+ */
+function onTransformation(actor) {
+  const sourceTokens = actor.getActiveTokens(false, true);
+  if (!sourceTokens.length) return;
+  const [activeSourceEffects] = getAllAuraEffects(actor);
+  const toDelete = [];
+  // Each token of a linked actor is its own source
+  for (const sourceToken of sourceTokens) {
+    for (const sourceEffect of activeSourceEffects) {
+      const key = getAuraSourceKey(sourceEffect.uuid, sourceToken.uuid);
+      for (const token of sourceToken.parent.tokens) {
+        if (token === sourceToken) continue;
+        const badEffect = findAppliedAura(token.actor, key);
+        if (badEffect && !toDelete.includes(badEffect)) toDelete.push(badEffect);
+      }
+    }
+  }
+  if (toDelete.length) removeAndReplaceAuras(toDelete, sourceTokens[0].parent);
+}
+
+export {
+  getAlignment,
+  getAuraRollData,
+  getCreatureTypes,
+  getHitPoints,
+  getSystemAdapter,
+  hasSuppressingStatus,
+  registerSystemAdapter,
+  registerSystemHooks
+};
\ No newline at end of file
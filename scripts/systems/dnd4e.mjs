@@ -0,0 +1,8 @@
+/** @import { SystemAdapter } from "./adapters.mjs" */
+
+/** @type {SystemAdapter} */
+export default {
+  id: "dnd4e",
+  getCreatureTypes: actor => [actor.system.details?.type, actor.system.details?.other, actor.system.details?.origin],
+  getAlignment: actor => actor.system.details?.alignment
+};
\ No newline at end of file
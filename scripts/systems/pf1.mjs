@@ -0,0 +1,13 @@
+/** @import { SystemAdapter } from "./adapters.mjs" */
+
+/** @type {SystemAdapter} */
+export default {
+  id: "pf1",
+  getCreatureTypes: actor => [
+    ...(actor.race?.system.creatureTypes ?? []),
+    ...(actor.race?.system.creatureSubtypes ?? []),
+    actor.race?.name
+  ],
+  getAlignment: actor => actor.system.details?.alignment,
+  suppressingStatuses: ["unconscious", "dead"]
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+/** @import { SystemAdapter } from "./adapters.mjs" */
+
+/** @type {SystemAdapter} */
+export default {
+  id: "swade",
+  getCreatureTypes: actor => [actor.system.details?.species?.name],
+  // Wounds count up towards being incapacitated, rather than hit points counting down
+  getHitPoints: actor => {
+    const { value = 0, max = 0 } = actor.system.wounds ?? {};
+    return max ? { value: max - value, max } : null;
+  },
+  suppressingStatuses: ["incapacitated"],
+  getActiveAurasConditions: ({ wildcard = false, extra = false }) => {
+    // Active Auras applied to both Wild Cards & Extras when neither or both were checked
+    if (wildcard === extra) return [];
+    return [`${wildcard ? "" : "!"}actor.isWildcard`];
+  }
+};
\ No newline at end of file